@@ -0,0 +1,41 @@
+// adminAuth.js - Middleware protecting admin-only routes
+
+const crypto = require("crypto");
+const { config } = require("./config");
+
+/**
+ * Require a valid admin token in the `X-Admin-Token` header.
+ * The expected token is security.adminApiToken (ADMIN_API_TOKEN); when it is not set,
+ * admin routes are disabled entirely.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireAdmin = (req, res, next) => {
+    const expectedToken = config.security.adminApiToken;
+
+    if (!expectedToken) {
+        return res.status(503).json({
+            success: false,
+            message: "Admin API is not configured",
+        });
+    }
+
+    const providedToken = req.get("x-admin-token") || "";
+    const expected = Buffer.from(expectedToken);
+    const provided = Buffer.from(providedToken);
+
+    if (
+        provided.length !== expected.length ||
+        !crypto.timingSafeEqual(provided, expected)
+    ) {
+        return res.status(403).json({
+            success: false,
+            message: "Forbidden",
+        });
+    }
+
+    next();
+};
+
+module.exports = { requireAdmin };
@@ -2,6 +2,11 @@
 
 const axios = require("axios");
 const https = require("https");
+const outboundProxy = require("./outboundProxy");
+const logger = require("./logger");
+
+// Certificate validation stays off for these helpers, as in createAxiosInstance
+const PROXY_OPTIONS = { tls: { rejectUnauthorized: false } };
 
 /**
  * Creates an Axios instance with custom configuration
@@ -36,23 +41,21 @@ const createAxiosInstance = (options = {}) => {
  */
 const fetchData = async (url, options = {}) => {
   try {
-    console.log(`Fetching data from: ${url}`);
+    logger.info(`Fetching data from: ${url}`);
 
-    // Handle proxy configuration if provided
-    const axiosOptions = { ...options };
-    const axiosInstance = createAxiosInstance(axiosOptions);
+    const axiosInstance = createAxiosInstance(options);
 
-    // Make the request
-    const response = await axiosInstance.get(url);
+    // Make the request, through the outbound proxy unless NO_PROXY or a rule says otherwise
+    const response = await outboundProxy.request(axiosInstance, { method: "get", url }, PROXY_OPTIONS);
 
-    console.log("Data fetched successfully!");
+    logger.info("Data fetched successfully!");
     return response.data;
   } catch (error) {
-    console.error("Error fetching data:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", error.response.data);
-    }
+    logger.error("Error fetching data", {
+      error: error.message,
+      status: error.response ? error.response.status : undefined,
+      data: error.response ? error.response.data : undefined,
+    });
     throw error;
   }
 };
@@ -66,24 +69,22 @@ const fetchData = async (url, options = {}) => {
  */
 const postData = async (url, data, options = {}) => {
   try {
-    console.log(`Posting data to: ${url}`);
-    console.log("Request data:", JSON.stringify(data, null, 2));
+    logger.info(`Posting data to: ${url}`);
+    logger.debug("Request data", { data });
 
-    // Handle proxy configuration if provided
-    const axiosOptions = { ...options };
-    const axiosInstance = createAxiosInstance(axiosOptions);
+    const axiosInstance = createAxiosInstance(options);
 
-    // Make the request
-    const response = await axiosInstance.post(url, data);
+    // Make the request, through the outbound proxy unless NO_PROXY or a rule says otherwise
+    const response = await outboundProxy.request(axiosInstance, { method: "post", url, data }, PROXY_OPTIONS);
 
-    console.log("Data posted successfully!");
+    logger.info("Data posted successfully!");
     return response.data;
   } catch (error) {
-    console.error("Error posting data:", error.message);
-    if (error.response) {
-      console.error("Response status:", error.response.status);
-      console.error("Response data:", error.response.data);
-    }
+    logger.error("Error posting data", {
+      error: error.message,
+      status: error.response ? error.response.status : undefined,
+      data: error.response ? error.response.data : undefined,
+    });
     throw error;
   }
 };
@@ -0,0 +1,245 @@
+// authenticator.js - RFC 4226 (HOTP) and RFC 6238 (TOTP) authenticator-app codes
+
+const crypto = require("crypto");
+const { safeEqual } = require("./otpHash");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// Defaults, overridable through the environment
+const settings = {
+    issuer: process.env.AUTHENTICATOR_ISSUER || "Digital India Corporation",
+    digits: parseInt(process.env.AUTHENTICATOR_DIGITS || "6"),
+    period: parseInt(process.env.TOTP_PERIOD_SECONDS || "30"),
+    // Time steps accepted either side of the current one to allow for clock drift
+    totpWindow: parseInt(process.env.TOTP_DRIFT_WINDOW || "1"),
+    // Counter values accepted ahead of the stored one to allow for unused codes
+    hotpWindow: parseInt(process.env.HOTP_LOOKAHEAD_WINDOW || "10"),
+};
+
+/**
+ * Enrolments keyed by mobile number:
+ * { type, secret, counter, lastUsedStep, confirmed, enrolledAt }
+ */
+const enrolments = new Map();
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+    let bits = "";
+
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        bits += value.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Compute an HOTP value (RFC 4226)
+ * @param {string} secret - Base32 shared secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (secret, counter, digits = settings.digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary =
+        ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % Math.pow(10, digits)).padStart(digits, "0");
+};
+
+/**
+ * Time step for a given moment (RFC 6238)
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number} - Time step counter
+ */
+const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / settings.period);
+
+/**
+ * Compute the TOTP value for a given moment (RFC 6238)
+ * @param {string} secret - Base32 shared secret
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} - Zero-padded code
+ */
+const totp = (secret, timestamp = Date.now()) => hotp(secret, timeStep(timestamp));
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param {Object} params - { type, secret, accountName, counter }
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = ({ type, secret, accountName, counter = 0 }) => {
+    const label = encodeURIComponent(`${settings.issuer}:${accountName}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer: settings.issuer,
+        algorithm: "SHA1",
+        digits: String(settings.digits),
+    });
+
+    if (type === "totp") {
+        query.set("period", String(settings.period));
+    } else {
+        query.set("counter", String(counter));
+    }
+
+    return `otpauth://${type}/${label}?${query.toString()}`;
+};
+
+/**
+ * Start (or restart) authenticator enrolment for a mobile number.
+ * The enrolment stays pending until a first code is confirmed.
+ * @param {string} mobileNumber - The mobile number being enrolled
+ * @param {Object} options - { type: "totp" | "hotp" }
+ * @returns {Object} - { type, secret, otpauthUri }
+ */
+const enroll = (mobileNumber, options = {}) => {
+    const type = options.type || "totp";
+    if (!["totp", "hotp"].includes(type)) {
+        throw new Error(`Unsupported authenticator type: ${type}`);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    enrolments.set(mobileNumber, {
+        type,
+        secret,
+        counter: 0,
+        lastUsedStep: null,
+        confirmed: false,
+        enrolledAt: new Date().toISOString(),
+    });
+
+    return {
+        type,
+        secret,
+        otpauthUri: buildOtpauthUri({ type, secret, accountName: mobileNumber }),
+    };
+};
+
+/**
+ * Verify an authenticator code, advancing replay-protection state on success
+ * @param {string} mobileNumber - The enrolled mobile number
+ * @param {string} code - Code from the authenticator app
+ * @returns {Object} - { success, reason }
+ */
+const verifyCode = (mobileNumber, code) => {
+    const enrolment = enrolments.get(mobileNumber);
+    if (!enrolment) {
+        return { success: false, reason: "NOT_ENROLLED" };
+    }
+
+    const candidate = String(code || "");
+
+    if (enrolment.type === "totp") {
+        const current = timeStep();
+        for (let step = current - settings.totpWindow; step <= current + settings.totpWindow; step++) {
+            if (safeEqual(hotp(enrolment.secret, step), candidate)) {
+                // A code (or an earlier one) that was already used must not be accepted again
+                if (enrolment.lastUsedStep !== null && step <= enrolment.lastUsedStep) {
+                    return { success: false, reason: "CODE_REPLAYED" };
+                }
+                enrolment.lastUsedStep = step;
+                return { success: true };
+            }
+        }
+        return { success: false, reason: "CODE_MISMATCH" };
+    }
+
+    for (let counter = enrolment.counter; counter <= enrolment.counter + settings.hotpWindow; counter++) {
+        if (safeEqual(hotp(enrolment.secret, counter), candidate)) {
+            // Moving the counter past the match rejects this and every earlier code
+            enrolment.counter = counter + 1;
+            return { success: true };
+        }
+    }
+    return { success: false, reason: "CODE_MISMATCH" };
+};
+
+/**
+ * Mark a pending enrolment as active
+ * @param {string} mobileNumber - The enrolled mobile number
+ */
+const confirmEnrollment = (mobileNumber) => {
+    const enrolment = enrolments.get(mobileNumber);
+    if (enrolment) {
+        enrolment.confirmed = true;
+    }
+};
+
+/**
+ * Get the public enrolment details of a number (never the secret)
+ * @param {string} mobileNumber - The mobile number
+ * @returns {Object|null} - { type, confirmed, enrolledAt } or null
+ */
+const getEnrollment = (mobileNumber) => {
+    const enrolment = enrolments.get(mobileNumber);
+    if (!enrolment) {
+        return null;
+    }
+    return {
+        type: enrolment.type,
+        confirmed: enrolment.confirmed,
+        enrolledAt: enrolment.enrolledAt,
+    };
+};
+
+/**
+ * Remove the authenticator enrolment of a number
+ * @param {string} mobileNumber - The mobile number
+ * @returns {boolean} - True if an enrolment was removed
+ */
+const removeEnrollment = (mobileNumber) => enrolments.delete(mobileNumber);
+
+module.exports = {
+    enroll,
+    confirmEnrollment,
+    verifyCode,
+    getEnrollment,
+    removeEnrollment,
+    hotp,
+    totp,
+    base32Encode,
+    base32Decode,
+    buildOtpauthUri,
+    settings,
+};
@@ -0,0 +1,399 @@
+// campaignService.js - Bulk SMS campaigns: recipient validation, throttled sending and result reports
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const csv = require("./csv");
+const messageStore = require("./messageStore");
+const dltTemplates = require("./dltTemplates");
+const smsEncoding = require("./smsEncoding");
+const { normalizeMobileNumber } = require("./mobileNumber");
+const { sendSms } = require("./smsService");
+
+// Largest recipient list a single campaign may carry
+const MAX_RECIPIENTS = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || "10000");
+// Messages handed to the providers per second, per campaign
+const SENDS_PER_SECOND = parseFloat(process.env.CAMPAIGN_SENDS_PER_SECOND || "5");
+// How long finished campaigns are kept (default 7 days)
+const RETENTION_MS = parseInt(process.env.CAMPAIGN_RETENTION_MS || "604800000");
+
+// Column names accepted for the recipient's number, lowercase
+const MOBILE_COLUMNS = ["mobile", "mobilenumber", "mobile_number", "mobile_no", "mobileno", "phone", "msisdn"];
+
+const CAMPAIGN_STATES = {
+    RUNNING: "running",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+};
+
+const RECIPIENT_STATES = {
+    PENDING: "pending",
+    SENT: "sent",
+    FAILED: "failed",
+    INVALID: "invalid",
+    DUPLICATE: "duplicate",
+    CANCELLED: "cancelled",
+};
+
+/**
+ * Campaigns keyed by campaign ID
+ */
+const campaigns = new Map();
+
+/**
+ * Turn raw recipient input into rows of { row, mobile, variables }
+ * @param {Object} input - { csv } text, or { recipients } as numbers or objects
+ * @returns {Object[]}
+ */
+const readRecipientRows = (input) => {
+    if (typeof input.csv === "string") {
+        const { headers, records } = csv.parseRecords(input.csv);
+        const mobileColumn = headers.find((header) => MOBILE_COLUMNS.includes(header.toLowerCase()));
+        if (!mobileColumn) {
+            const error = new Error(`CSV needs a mobile number column (one of: ${MOBILE_COLUMNS.join(", ")})`);
+            error.code = "INVALID_CAMPAIGN";
+            throw error;
+        }
+
+        return records.map(({ line, values: { [mobileColumn]: mobile, ...variables } }) => ({
+            row: line,
+            mobile,
+            variables,
+        }));
+    }
+
+    if (Array.isArray(input.recipients)) {
+        return input.recipients.map((recipient, index) => {
+            if (recipient && typeof recipient === "object") {
+                const { mobileNumber, mobile, variables, ...rest } = recipient;
+                return { row: index + 1, mobile: mobileNumber || mobile, variables: variables || rest };
+            }
+            return { row: index + 1, mobile: recipient, variables: {} };
+        });
+    }
+
+    const error = new Error("Provide recipients as a CSV or a JSON list");
+    error.code = "INVALID_CAMPAIGN";
+    throw error;
+};
+
+/**
+ * Validate and deduplicate recipients and render each one's message
+ * @param {Object[]} rows - { row, mobile, variables }
+ * @param {Object} template - DLT template the campaign is sent under
+ * @returns {Object[]} - Recipient entries with status pending, invalid or duplicate
+ */
+const prepareRecipients = (rows, template) => {
+    const seen = new Set();
+
+    return rows.map(({ row, mobile, variables }) => {
+        const entry = {
+            row,
+            input: String(mobile === undefined || mobile === null ? "" : mobile),
+            mobileNumber: normalizeMobileNumber(mobile),
+            content: null,
+            segments: null,
+            status: RECIPIENT_STATES.PENDING,
+            messageId: null,
+            gatewayMessageId: null,
+            provider: null,
+            error: null,
+            sentAt: null,
+        };
+
+        try {
+            const content = dltTemplates.renderTemplate(template.id, variables);
+            entry.segments = smsEncoding.assertWithinSegmentLimit(content).segments;
+            entry.content = content;
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        if (!entry.mobileNumber) {
+            entry.status = RECIPIENT_STATES.INVALID;
+            entry.error = "Invalid mobile number";
+        } else if (entry.content === null) {
+            entry.status = RECIPIENT_STATES.INVALID;
+        } else if (seen.has(entry.mobileNumber)) {
+            entry.status = RECIPIENT_STATES.DUPLICATE;
+            entry.error = "Duplicate mobile number";
+        } else {
+            seen.add(entry.mobileNumber);
+        }
+
+        return entry;
+    });
+};
+
+/**
+ * Recipient counts by status
+ * @param {Object} campaign - The campaign
+ * @returns {Object} - { total, pending, sent, failed, invalid, duplicate, cancelled }
+ */
+const countRecipients = (campaign) => {
+    const counts = { total: campaign.recipients.length };
+    for (const state of Object.values(RECIPIENT_STATES)) {
+        counts[state] = 0;
+    }
+    for (const recipient of campaign.recipients) {
+        counts[recipient.status]++;
+    }
+    return counts;
+};
+
+/**
+ * Progress view of a campaign for API clients
+ * @param {Object} campaign - The campaign
+ * @returns {Object} - { id, name, status, templateId, type, counts, segments, progress, createdAt, completedAt }
+ *                     where segments is the billable segment total of the recipients that will be sent
+ */
+const getProgress = (campaign) => {
+    const counts = countRecipients(campaign);
+    const sendable = counts.total - counts.invalid - counts.duplicate;
+    const processed = counts.sent + counts.failed + counts.cancelled;
+    const segments = campaign.recipients
+        .filter((recipient) => recipient.status === RECIPIENT_STATES.PENDING || recipient.status === RECIPIENT_STATES.SENT)
+        .reduce((sum, recipient) => sum + recipient.segments, 0);
+
+    return {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        templateId: campaign.templateId,
+        type: campaign.type,
+        counts,
+        segments,
+        progress: sendable ? Math.round((processed / sendable) * 100) : 100,
+        createdAt: campaign.createdAt,
+        completedAt: campaign.completedAt,
+    };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Send every pending recipient, at most SENDS_PER_SECOND a second
+ * @param {Object} campaign - The campaign
+ * @returns {Promise<void>}
+ */
+const runCampaign = async (campaign) => {
+    const interval = 1000 / SENDS_PER_SECOND;
+    logger.info("Campaign started", { campaignId: campaign.id, counts: countRecipients(campaign) });
+
+    for (const recipient of campaign.recipients) {
+        if (campaign.status !== CAMPAIGN_STATES.RUNNING) {
+            break;
+        }
+        if (recipient.status !== RECIPIENT_STATES.PENDING) {
+            continue;
+        }
+
+        const startedAt = Date.now();
+        const result = await sendSms(
+            recipient.mobileNumber,
+            recipient.content,
+            {
+                templateId: campaign.templateId,
+                type: campaign.type,
+                meta: { campaignId: campaign.id, row: recipient.row },
+            }
+        );
+
+        recipient.messageId = result.messageId || null;
+        recipient.provider = result.provider || null;
+        recipient.gatewayMessageId = result.gatewayMessageId || null;
+        recipient.sentAt = new Date().toISOString();
+        if (result.success) {
+            recipient.status = RECIPIENT_STATES.SENT;
+        } else {
+            recipient.status = RECIPIENT_STATES.FAILED;
+            recipient.error = result.message;
+        }
+
+        await sleep(Math.max(interval - (Date.now() - startedAt), 0));
+    }
+
+    if (campaign.status === CAMPAIGN_STATES.RUNNING) {
+        campaign.status = CAMPAIGN_STATES.COMPLETED;
+    }
+    campaign.completedAt = new Date().toISOString();
+    logger.info("Campaign finished", {
+        campaignId: campaign.id,
+        status: campaign.status,
+        counts: countRecipients(campaign),
+    });
+};
+
+/**
+ * Create a campaign and start sending in the background
+ * @param {Object} input - Campaign definition
+ * @param {string} input.name - Human-readable name
+ * @param {string} input.templateId - Registered DLT template the message is rendered from
+ * @param {string} input.type - Message type (single or unicode; detected when omitted)
+ * @param {string} input.csv - Recipients as CSV with a mobile column and one column per template variable
+ * @param {Array} input.recipients - Recipients as numbers or { mobileNumber, variables } objects
+ * @returns {Object} - The campaign's progress view plus the rejected rows
+ * @throws {Error} - INVALID_CAMPAIGN when the definition or recipient list is unusable
+ */
+const createCampaign = (input = {}) => {
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.code = "INVALID_CAMPAIGN";
+        return error;
+    };
+
+    let template;
+    try {
+        template = dltTemplates.getTemplate(input.templateId);
+    } catch (error) {
+        throw invalid(error.message);
+    }
+    if (input.type === "bulk" || input.type === "otp") {
+        throw invalid("Campaign messages are sent one recipient at a time; use type single or unicode");
+    }
+
+    const rows = readRecipientRows(input);
+    if (rows.length === 0) {
+        throw invalid("The recipient list is empty");
+    }
+    if (rows.length > MAX_RECIPIENTS) {
+        throw invalid(`A campaign can have at most ${MAX_RECIPIENTS} recipients`);
+    }
+
+    const recipients = prepareRecipients(rows, template);
+    const campaign = {
+        id: crypto.randomUUID(),
+        name: input.name || `Campaign ${new Date().toISOString()}`,
+        templateId: template.id,
+        type: input.type || undefined,
+        status: CAMPAIGN_STATES.RUNNING,
+        recipients,
+        createdAt: new Date().toISOString(),
+        completedAt: null,
+    };
+
+    const rejected = recipients
+        .filter((recipient) => recipient.status !== RECIPIENT_STATES.PENDING)
+        .map(({ row, input: mobile, status, error }) => ({ row, mobile, status, error }));
+
+    if (rejected.length === recipients.length) {
+        const error = invalid("No valid recipients");
+        error.rejected = rejected;
+        throw error;
+    }
+
+    campaigns.set(campaign.id, campaign);
+    runCampaign(campaign).catch((error) => {
+        logger.error("Campaign run failed", { campaignId: campaign.id, error: error.message });
+        campaign.status = CAMPAIGN_STATES.COMPLETED;
+        campaign.completedAt = new Date().toISOString();
+    });
+
+    return { ...getProgress(campaign), rejected };
+};
+
+/**
+ * Get a campaign
+ * @param {string} id - Campaign ID
+ * @returns {Object|null}
+ */
+const getCampaign = (id) => campaigns.get(id) || null;
+
+/**
+ * Progress of every campaign, newest first
+ * @returns {Object[]}
+ */
+const listCampaigns = () => [...campaigns.values()].reverse().map(getProgress);
+
+/**
+ * Stop a running campaign; recipients not yet sent are marked cancelled
+ * @param {string} id - Campaign ID
+ * @returns {Object|null} - Progress view, or null if the campaign is unknown
+ */
+const cancelCampaign = (id) => {
+    const campaign = getCampaign(id);
+    if (!campaign) {
+        return null;
+    }
+
+    if (campaign.status === CAMPAIGN_STATES.RUNNING) {
+        campaign.status = CAMPAIGN_STATES.CANCELLED;
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === RECIPIENT_STATES.PENDING) {
+                recipient.status = RECIPIENT_STATES.CANCELLED;
+            }
+        }
+        logger.info("Campaign cancelled", { campaignId: id });
+    }
+
+    return getProgress(campaign);
+};
+
+// Columns of the per-recipient result report, in order
+const REPORT_COLUMNS = [
+    "row",
+    "mobile",
+    "status",
+    "deliveryStatus",
+    "segments",
+    "messageId",
+    "provider",
+    "gatewayMessageId",
+    "sentAt",
+    "error",
+];
+
+/**
+ * Per-recipient result report, including the latest delivery state of sent messages
+ * @param {Object} campaign - The campaign
+ * @returns {Object[]} - One record per recipient with REPORT_COLUMNS fields
+ */
+const buildReport = (campaign) =>
+    campaign.recipients.map((recipient) => {
+        const message = recipient.messageId ? messageStore.getMessage(recipient.messageId) : null;
+        return {
+            row: recipient.row,
+            mobile: recipient.mobileNumber || recipient.input,
+            status: recipient.status,
+            deliveryStatus: message ? message.status : null,
+            segments: recipient.segments,
+            messageId: recipient.messageId,
+            provider: recipient.provider,
+            gatewayMessageId: recipient.gatewayMessageId,
+            sentAt: recipient.sentAt,
+            error: recipient.error || (message ? message.error : null),
+        };
+    });
+
+/**
+ * The result report as CSV
+ * @param {Object} campaign - The campaign
+ * @returns {string}
+ */
+const buildReportCsv = (campaign) => csv.formatRecords(REPORT_COLUMNS, buildReport(campaign));
+
+/**
+ * Drop finished campaigns past their retention period
+ */
+const sweep = () => {
+    const now = Date.now();
+    for (const [id, campaign] of campaigns) {
+        if (campaign.completedAt && now - new Date(campaign.completedAt).getTime() >= RETENTION_MS) {
+            campaigns.delete(id);
+        }
+    }
+};
+
+// Periodically sweep in the background without keeping the process alive
+setInterval(sweep, 60 * 60 * 1000).unref();
+
+module.exports = {
+    createCampaign,
+    getCampaign,
+    listCampaigns,
+    cancelCampaign,
+    getProgress,
+    buildReport,
+    buildReportCsv,
+    CAMPAIGN_STATES,
+    RECIPIENT_STATES,
+};
@@ -0,0 +1,162 @@
+// circuitBreaker.js - Closed / open / half-open circuit breaker for outbound calls
+
+const logger = require("./logger");
+
+const STATES = {
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half_open",
+};
+
+// Defaults, overridable through the environment
+const defaults = {
+    // Number of most recent calls the failure rate is computed over
+    windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE || "10"),
+    // Calls needed in the window before the breaker may open
+    minimumCalls: parseInt(process.env.CIRCUIT_MIN_CALLS || "5"),
+    // Failure rate (0-1) at or above which the breaker opens
+    failureRateThreshold: parseFloat(process.env.CIRCUIT_FAILURE_RATE || "0.5"),
+    // How long the breaker stays open before letting a trial call through
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || "30000"),
+    // Trial calls allowed at once while half-open
+    halfOpenMaxCalls: 1,
+    // Whether a resolved value should still count as a failure
+    isFailure: () => false,
+    // Whether a rejection counts as a failure (e.g. not for caller mistakes)
+    isErrorFailure: () => true,
+};
+
+/**
+ * Create a circuit breaker
+ * @param {string} name - Name used in logs and state output
+ * @param {Object} options - Overrides for the defaults above
+ * @returns {Object} - { execute, getState, reset }
+ */
+const createCircuitBreaker = (name, options = {}) => {
+    const config = { ...defaults, ...options };
+
+    let state = STATES.CLOSED;
+    let outcomes = []; // true = failure, most recent last
+    let openedAt = null;
+    let halfOpenInFlight = 0;
+    let lastTransitionAt = new Date().toISOString();
+
+    const failureRate = () =>
+        outcomes.length === 0 ? 0 : outcomes.filter(Boolean).length / outcomes.length;
+
+    const transition = (nextState) => {
+        if (state === nextState) {
+            return;
+        }
+
+        const details = {
+            breaker: name,
+            from: state,
+            to: nextState,
+            failureRate: Number(failureRate().toFixed(2)),
+            calls: outcomes.length,
+        };
+        state = nextState;
+        lastTransitionAt = new Date().toISOString();
+
+        if (nextState === STATES.OPEN) {
+            openedAt = Date.now();
+            logger.warn(`Circuit breaker ${name} opened`, details);
+        } else if (nextState === STATES.CLOSED) {
+            openedAt = null;
+            outcomes = [];
+            logger.info(`Circuit breaker ${name} closed`, details);
+        } else {
+            logger.info(`Circuit breaker ${name} half-open, allowing a trial call`, details);
+        }
+    };
+
+    const record = (failed) => {
+        if (state === STATES.HALF_OPEN) {
+            // A single trial decides: recovered, or back to open for another cooldown
+            transition(failed ? STATES.OPEN : STATES.CLOSED);
+            return;
+        }
+
+        outcomes.push(failed);
+        if (outcomes.length > config.windowSize) {
+            outcomes.shift();
+        }
+
+        if (outcomes.length >= config.minimumCalls && failureRate() >= config.failureRateThreshold) {
+            transition(STATES.OPEN);
+        }
+    };
+
+    /**
+     * Run a call through the breaker
+     * @param {Function} fn - Async function performing the call
+     * @returns {Promise<*>} - The call's result; rejects with code CIRCUIT_OPEN when short-circuited
+     */
+    const execute = async (fn) => {
+        if (state === STATES.OPEN && Date.now() - openedAt >= config.cooldownMs) {
+            transition(STATES.HALF_OPEN);
+        }
+
+        if (
+            state === STATES.OPEN ||
+            (state === STATES.HALF_OPEN && halfOpenInFlight >= config.halfOpenMaxCalls)
+        ) {
+            const error = new Error(`Circuit breaker ${name} is open`);
+            error.code = "CIRCUIT_OPEN";
+            error.retryAfterMs = openedAt ? Math.max(openedAt + config.cooldownMs - Date.now(), 0) : 0;
+            throw error;
+        }
+
+        const trial = state === STATES.HALF_OPEN;
+        if (trial) {
+            halfOpenInFlight++;
+        }
+
+        try {
+            const result = await fn();
+            record(config.isFailure(result));
+            return result;
+        } catch (error) {
+            if (config.isErrorFailure(error)) {
+                record(true);
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                halfOpenInFlight--;
+            }
+        }
+    };
+
+    /**
+     * Current breaker state for health output
+     * @returns {Object} - { name, state, failureRate, calls, openedAt, nextAttemptAt, lastTransitionAt }
+     */
+    const getState = () => ({
+        name,
+        state,
+        failureRate: Number(failureRate().toFixed(2)),
+        calls: outcomes.length,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        nextAttemptAt:
+            state === STATES.OPEN ? new Date(openedAt + config.cooldownMs).toISOString() : null,
+        lastTransitionAt,
+    });
+
+    /**
+     * Force the breaker back to closed
+     */
+    const reset = () => transition(STATES.CLOSED);
+
+    return {
+        execute,
+        getState,
+        reset,
+    };
+};
+
+module.exports = {
+    createCircuitBreaker,
+    STATES,
+};
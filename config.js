@@ -0,0 +1,245 @@
+// config.js - Application settings: gateway credentials, endpoints, proxy and secrets
+//
+// Values are resolved in this order, later sources winning:
+//   1. typed defaults in SCHEMA (configSchema.js)
+//   2. config/<NODE_ENV>.json (NODE_ENV defaults to "development"; CONFIG_DIR moves the directory).
+//      config/development.json is not committed: copy config/development.example.json and fill it in.
+//      Credentials never go in these files; passwords and keys belong in the secrets file.
+//   3. the encrypted secrets file, for settings marked secret (see secrets.js)
+//   4. environment variables
+// Everything is validated when this module is loaded, so a missing or invalid setting stops
+// the process at startup instead of failing on the first send. Tuning knobs that belong to a
+// single module (queue, scheduler, rate limits, ...) are still read by that module.
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { loadSecrets, getSecretsFile } = require("./secrets");
+const { SCHEMA } = require("./configSchema");
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+/**
+ * Flatten a nested config file object into dotted paths
+ * @param {Object} object - Parsed JSON
+ * @param {string} prefix - Path so far
+ * @returns {Object} - { "a.b": value }
+ */
+const flatten = (object, prefix = "") =>
+    Object.entries(object).reduce((flat, [key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            return { ...flat, ...flatten(value, name) };
+        }
+        return { ...flat, [name]: value };
+    }, {});
+
+/**
+ * Convert a raw value (env string or JSON value) to its schema type
+ * @param {*} raw - The value
+ * @param {Object} spec - Schema entry
+ * @returns {Object} - { value } or { problem }
+ */
+const coerce = (raw, spec) => {
+    const text = typeof raw === "string" ? raw.trim() : raw;
+
+    switch (spec.type) {
+        case "integer": {
+            const value = typeof text === "number" ? text : /^-?\d+$/.test(String(text)) ? parseInt(text) : NaN;
+            if (!Number.isInteger(value)) {
+                return { problem: `must be an integer, got "${raw}"` };
+            }
+            if (spec.min !== undefined && value < spec.min) {
+                return { problem: `must be at least ${spec.min}, got ${value}` };
+            }
+            if (spec.max !== undefined && value > spec.max) {
+                return { problem: `must be at most ${spec.max}, got ${value}` };
+            }
+            return { value };
+        }
+        case "boolean": {
+            const value = typeof text === "boolean" ? text : BOOLEAN_VALUES[String(text).toLowerCase()];
+            return value === undefined ? { problem: `must be true or false, got "${raw}"` } : { value };
+        }
+        case "url": {
+            try {
+                const url = new URL(String(text));
+                if (!["http:", "https:"].includes(url.protocol)) {
+                    return { problem: "must be an http(s) URL" };
+                }
+                return { value: url.toString() };
+            } catch (error) {
+                return { problem: `must be a URL, got "${raw}"` };
+            }
+        }
+        case "list": {
+            const value = (Array.isArray(text) ? text : String(text).split(","))
+                .map((item) => String(item).trim())
+                .filter(Boolean);
+            const unknown = spec.values ? value.filter((item) => !spec.values.includes(item)) : [];
+            if (unknown.length) {
+                return { problem: `has unknown entries: ${unknown.join(", ")}` };
+            }
+            const invalid = spec.pattern ? value.filter((item) => !spec.pattern.test(item)) : [];
+            return invalid.length ? { problem: `has invalid entries: ${invalid.join(", ")}` } : { value };
+        }
+        default: {
+            const value = String(text);
+            if (spec.values && !spec.values.includes(value)) {
+                return { problem: `must be one of ${spec.values.join(", ")}, got "${value}"` };
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                return { problem: `has an invalid format ("${value}")` };
+            }
+            return { value };
+        }
+    }
+};
+
+/**
+ * Load and validate the configuration
+ * @param {Object} options - { env, dir, secretsFile } (default process.env, CONFIG_DIR or ./config,
+ *   and SECRETS_FILE or config/secrets.<NODE_ENV>.enc)
+ * @returns {Object} - { values, sources, environment, files } where values is nested and frozen
+ * @throws {Error} - CONFIG_INVALID, with every problem in error.problems
+ */
+const loadConfig = (options = {}) => {
+    const env = options.env || process.env;
+    const environment = env.NODE_ENV || "development";
+    const dir = options.dir || env.CONFIG_DIR || path.join(__dirname, "config");
+    const problems = [];
+    const files = [];
+
+    let fileValues = {};
+    const filePath = path.join(dir, `${environment}.json`);
+    if (fs.existsSync(filePath)) {
+        try {
+            fileValues = flatten(JSON.parse(fs.readFileSync(filePath, "utf8")));
+            files.push(filePath);
+        } catch (error) {
+            problems.push(`${filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+    for (const name of Object.keys(fileValues)) {
+        if (!SCHEMA[name]) {
+            problems.push(`${name} in ${filePath} is not a known setting`);
+        } else if (SCHEMA[name].secret) {
+            problems.push(
+                `${name} in ${filePath} is a secret; remove it and run node secrets.js set ${name} (or set ${SCHEMA[name].env})`
+            );
+        }
+    }
+
+    const secretValues = {};
+    const secretsFile = options.secretsFile || getSecretsFile(env);
+    try {
+        const secrets = loadSecrets({ file: secretsFile, env });
+        if (secrets) {
+            files.push(secretsFile);
+            for (const [name, secret] of Object.entries(secrets)) {
+                if (SCHEMA[name] && SCHEMA[name].secret) {
+                    secretValues[name] = secret.value;
+                } else {
+                    problems.push(`${name} in ${secretsFile} is not a secret setting`);
+                }
+            }
+        }
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    const values = {};
+    const sources = {};
+    const unset = [];
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        let raw;
+        let source;
+        const envName = [spec.env, ...(spec.envAliases || [])].find(
+            (candidate) => env[candidate] !== undefined && env[candidate] !== ""
+        );
+        if (envName) {
+            raw = env[envName];
+            source = `env ${envName}`;
+        } else if (secretValues[name] !== undefined) {
+            raw = secretValues[name];
+            source = path.basename(secretsFile);
+        } else if (fileValues[name] !== undefined && fileValues[name] !== null && fileValues[name] !== "") {
+            raw = fileValues[name];
+            source = path.basename(filePath);
+        }
+
+        if (raw === undefined) {
+            unset.push(name);
+            values[name] = spec.default === undefined ? null : spec.default;
+            sources[name] = spec.default === undefined ? "unset" : "default";
+            continue;
+        }
+
+        const result = coerce(raw, spec);
+        if (result.problem) {
+            problems.push(`${name} (${source}) ${result.problem}`);
+            continue;
+        }
+        values[name] = result.value;
+        sources[name] = source;
+    }
+
+    // Conditional requirements depend on other settings, so they are checked once all are resolved
+    for (const name of unset) {
+        const spec = SCHEMA[name];
+        const required = typeof spec.required === "function" ? spec.required(values) : spec.required;
+        if (required) {
+            const where = spec.secret ? `node secrets.js set ${name}` : `add it to config/${environment}.json`;
+            problems.push(`${name} is required (set ${spec.env} or ${where})`);
+        }
+    }
+
+    if (problems.length) {
+        const error = new Error(`Invalid configuration for "${environment}":\n  - ${problems.join("\n  - ")}`);
+        error.code = "CONFIG_INVALID";
+        error.problems = problems;
+        throw error;
+    }
+
+    const nested = {};
+    for (const [name, value] of Object.entries(values)) {
+        const keys = name.split(".");
+        const group = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), nested);
+        group[keys[keys.length - 1]] = value;
+    }
+    Object.values(nested).forEach(Object.freeze);
+
+    return { values: Object.freeze(nested), sources, environment, files };
+};
+
+const loaded = loadConfig();
+
+// Keep every secret value out of the logs, whichever source it came from
+logger.registerSecrets(
+    Object.entries(SCHEMA)
+        .filter(([, spec]) => spec.secret)
+        .map(([name]) => name.split(".").reduce((node, key) => node[key], loaded.values))
+);
+
+/**
+ * The effective configuration with secrets hidden, for logs and the admin API
+ * @returns {Object} - { environment, files, values, sources }
+ */
+const getRedactedConfig = () => {
+    const values = {};
+    for (const [group, settings] of Object.entries(loaded.values)) {
+        values[group] = {};
+        for (const [key, value] of Object.entries(settings)) {
+            const secret = SCHEMA[`${group}.${key}`].secret;
+            values[group][key] = secret && value !== null ? "[REDACTED]" : value;
+        }
+    }
+    return { environment: loaded.environment, files: loaded.files, values, sources: loaded.sources };
+};
+
+module.exports = {
+    config: loaded.values,
+    loadConfig,
+    getRedactedConfig,
+    SCHEMA,
+};
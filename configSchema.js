@@ -0,0 +1,87 @@
+// configSchema.js - Every application setting: its type, default, environment variable and
+// whether it is secret. Kept apart from config.js so tools (secrets.js) can check setting names
+// without loading, and failing on, the configuration itself.
+
+/**
+ * Whether the MSDG gateway can be called for real: it is in the provider order
+ * (SMS_PROVIDER_PRIORITY lists it, or lists nothing) and sandbox mode is off
+ * @param {Object} values - Resolved settings by dotted path
+ * @returns {boolean}
+ */
+const msdgEnabled = (values) => {
+    const priority = values["sms.providerPriority"];
+    return !values["sms.sandbox"] && (!priority || !priority.length || priority.includes("msdg"));
+};
+
+/**
+ * Settings by dotted path:
+ * - env: environment variable that overrides it
+ * - envAliases: other variables read when env is unset (e.g. the lowercase form tools also honour)
+ * - type: string, integer, boolean, url or list (comma-separated in env)
+ * - default: used when no source sets it
+ * - required: must be set by some source; a function of the resolved settings ({ "a.b": value })
+ *   makes that conditional
+ * - secret: redacted in getRedactedConfig
+ * - values / pattern / min / max: further constraints (for lists, on each entry)
+ */
+const SCHEMA = {
+    "server.port": { env: "PORT", type: "integer", default: 9000, min: 1, max: 65535 },
+
+    "sms.provider": { env: "SMS_PROVIDER", type: "string", values: ["msdg", "amritsarovar"] },
+    "sms.providerPriority": { env: "SMS_PROVIDER_PRIORITY", type: "list", values: ["msdg", "amritsarovar"] },
+    "sms.sandbox": { env: "SMS_SANDBOX", type: "boolean", default: false },
+
+    "msdg.apiUrl": { env: "MSDG_API_URL", type: "url", default: "https://msdgweb.mgov.gov.in/esms/sendsmsrequestDLT" },
+    // Gateway credentials are only needed while MSDG is enabled and not sandboxed
+    "msdg.username": { env: "MSDG_USERNAME", type: "string", required: msdgEnabled },
+    "msdg.password": { env: "MSDG_PASSWORD", type: "string", required: msdgEnabled, secret: true },
+    "msdg.secureKey": { env: "MSDG_SECURE_KEY", type: "string", required: msdgEnabled, secret: true },
+    "msdg.senderId": { env: "MSDG_SENDER_ID", type: "string", required: msdgEnabled, pattern: /^[A-Z0-9]{6}$/ },
+    "msdg.templateId": { env: "MSDG_TEMPLATE_ID", type: "string", default: "1307165847021622765", pattern: /^\d+$/ },
+    "msdg.useProxy": { env: "MSDG_USE_PROXY", type: "boolean", default: true },
+    "msdg.timeoutMs": { env: "MSDG_TIMEOUT_MS", type: "integer", default: 30000, min: 1 },
+
+    // Sender IDs templates allow when they list none of their own (default: [msdg.senderId])
+    "dlt.senderIds": { env: "DLT_SENDER_IDS", type: "list", pattern: /^[A-Z0-9]{6}$/ },
+
+    "amritsarovar.apiUrl": {
+        env: "AMRITSAROVAR_API_URL",
+        type: "url",
+        default: "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp",
+    },
+    "amritsarovar.useProxy": { env: "AMRITSAROVAR_USE_PROXY", type: "boolean", default: true },
+    "amritsarovar.timeoutMs": { env: "AMRITSAROVAR_TIMEOUT_MS", type: "integer", default: 120000, min: 1 },
+    "amritsarovar.tlsVerify": { env: "AMRITSAROVAR_TLS_VERIFY", type: "boolean", default: true },
+
+    // Outbound proxy (see outboundProxy.js); rules are "<host pattern>=<proxy URL>|direct"
+    "proxy.host": { env: "PROXY_HOST", type: "string", default: "10.194.81.45" },
+    "proxy.port": { env: "PROXY_PORT", type: "integer", default: 8080, min: 1, max: 65535 },
+    "proxy.protocol": { env: "PROXY_PROTOCOL", type: "string", default: "http", values: ["http", "https"] },
+    "proxy.username": { env: "PROXY_USERNAME", type: "string" },
+    "proxy.password": { env: "PROXY_PASSWORD", type: "string", secret: true },
+    "proxy.noProxy": {
+        env: "NO_PROXY",
+        envAliases: ["no_proxy"],
+        type: "list",
+        default: ["localhost", "127.0.0.1", "::1"],
+    },
+    "proxy.rules": {
+        env: "PROXY_RULES",
+        type: "list",
+        default: [],
+        pattern: /^[^=\s]+=(direct|https?:\/\/[^\s,]+)$/,
+    },
+    "proxy.fallbackDirect": { env: "PROXY_FALLBACK_DIRECT", type: "boolean", default: false },
+
+    "demo.mobileNumber": { env: "DEMO_MOBILE_NUMBER", type: "string", default: "7984085918", pattern: /^[6-9]\d{9}$/ },
+    "demo.testMobileNumber": { env: "TEST_MOBILE_NUMBER", type: "string", default: "9924832781", pattern: /^[6-9]\d{9}$/ },
+
+    "security.adminApiToken": { env: "ADMIN_API_TOKEN", type: "string", secret: true },
+    "security.dlrCallbackToken": { env: "DLR_CALLBACK_TOKEN", type: "string", secret: true },
+    "security.otpHashSecret": { env: "OTP_HASH_SECRET", type: "string", secret: true },
+    "security.verificationTokenSecret": { env: "VERIFICATION_TOKEN_SECRET", type: "string", secret: true },
+};
+
+module.exports = {
+    SCHEMA,
+};
@@ -0,0 +1,120 @@
+// csv.js - Minimal RFC 4180 CSV reading and writing
+
+/**
+ * Parse CSV text into rows of fields.
+ * Handles quoted fields with embedded commas, quotes ("") and line breaks, and CRLF or LF endings.
+ * @param {string} text - CSV text
+ * @returns {Object[]} - Rows as { line, fields }, where line is the 1-based source line the row
+ *   starts on (quoted line breaks and skipped blank lines still count); blank lines are skipped
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Excel likes to start UTF-8 files with a byte order mark
+    const input = String(text).replace(/^\uFEFF/, "");
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== "") {
+            rows.push({ line: rowLine, fields: row });
+        }
+        row = [];
+        field = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+                if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) {
+                    line++;
+                }
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== "" || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by (trimmed) header
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, records } where each record is { line, values }: its 1-based
+ *   source line, and its fields keyed by header (kept apart so no column can overwrite the line)
+ */
+const parseRecords = (text) => {
+    const [headerRow = { fields: [] }, ...rows] = parseRows(text);
+    const headers = headerRow.fields.map((header) => header.trim());
+
+    const records = rows.map(({ line, fields }) => {
+        const values = {};
+        headers.forEach((header, column) => {
+            values[header] = fields[column] === undefined ? "" : fields[column].trim();
+        });
+        return { line, values };
+    });
+
+    return { headers, records };
+};
+
+/**
+ * Quote a value for CSV output when it needs it. Values a spreadsheet would read as a formula
+ * (starting with =, +, -, @, tab or CR) are prefixed with ' so they open as plain text.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatField = (value) => {
+    const raw = value === undefined || value === null ? "" : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV with a header row
+ * @param {string[]} columns - Column names, in order
+ * @param {Object[]} records - Records to write
+ * @returns {string} - CSV text (CRLF line endings)
+ */
+const formatRecords = (columns, records) => {
+    const lines = [columns.map(formatField).join(",")];
+    for (const record of records) {
+        lines.push(columns.map((column) => formatField(record[column])).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = {
+    parseRows,
+    parseRecords,
+    formatRecords,
+};
@@ -0,0 +1,206 @@
+// deliveryReports.js - Delivery report (DLR) callbacks from SMS gateways
+
+const logger = require("./logger");
+const { config } = require("./config");
+const { safeEqual } = require("./otpHash");
+const messageStore = require("./messageStore");
+
+const { STATES } = messageStore;
+
+// Without a callback token, delivery reports are only taken in development or sandbox mode,
+// never in production: anyone could otherwise mark any message delivered or failed
+const ENVIRONMENT = process.env.NODE_ENV || "development";
+const OPEN_CALLBACKS = ENVIRONMENT !== "production" && (ENVIRONMENT === "development" || config.sms.sandbox);
+if (!config.security.dlrCallbackToken && !OPEN_CALLBACKS) {
+    logger.warn("DLR_CALLBACK_TOKEN is not set; delivery report callbacks will be refused");
+}
+
+// Gateway delivery states (SMPP `stat` values and common spellings) to message states
+const STATUS_MAP = {
+    DELIVRD: STATES.DELIVERED,
+    DELIVERED: STATES.DELIVERED,
+    SUCCESS: STATES.DELIVERED,
+    UNDELIV: STATES.FAILED,
+    UNDELIVERED: STATES.FAILED,
+    REJECTD: STATES.FAILED,
+    REJECTED: STATES.FAILED,
+    FAILED: STATES.FAILED,
+    DELETED: STATES.FAILED,
+    UNKNOWN: STATES.FAILED,
+    EXPIRED: STATES.EXPIRED,
+    ACCEPTD: STATES.SUBMITTED,
+    ENROUTE: STATES.SUBMITTED,
+    BUFFERED: STATES.SUBMITTED,
+    SUBMITTED: STATES.SUBMITTED,
+    PENDING: STATES.SUBMITTED,
+};
+
+// Field names gateways use for the same thing
+const FIELD_ALIASES = {
+    gatewayMessageId: ["msgid", "messageid", "message_id", "id"],
+    status: ["status", "stat", "dlrstatus", "dlr_status"],
+    errorCode: ["err", "errcode", "errorcode", "error_code"],
+    description: ["description", "reason", "text"],
+    doneAt: ["donetime", "done_date", "donedate", "deliveredat", "timestamp"],
+    mobileNumber: ["mobileno", "mobile", "msisdn", "to"],
+};
+
+/**
+ * Pick the first alias present in a payload, ignoring key case
+ * @param {Object} payload - Raw DLR fields
+ * @param {string[]} aliases - Candidate field names, lowercase
+ * @returns {string|undefined}
+ */
+const pickField = (payload, aliases) => {
+    const key = Object.keys(payload).find((name) => aliases.includes(name.toLowerCase()));
+    return key === undefined ? undefined : String(payload[key]).trim();
+};
+
+/**
+ * Fields of an SMPP-style receipt text, e.g.
+ * "id:1234 sub:001 dlvrd:001 submit date:2406011200 done date:2406011201 stat:DELIVRD err:000"
+ * @param {string} receipt - Receipt text
+ * @returns {Object} - { msgid, stat, err, donetime } for the parts present
+ */
+const parseReceiptText = (receipt) => {
+    const fields = {};
+    const patterns = {
+        msgid: /\bid:(\S+)/i,
+        stat: /\bstat:(\S+)/i,
+        err: /\berr:(\S+)/i,
+        donetime: /\bdone date:(\d+)/i,
+    };
+
+    for (const [name, pattern] of Object.entries(patterns)) {
+        const match = receipt.match(pattern);
+        if (match) {
+            fields[name] = match[1];
+        }
+    }
+    return fields;
+};
+
+/**
+ * Normalise one delivery report from a gateway callback
+ * @param {string} provider - Provider the report came from
+ * @param {Object} payload - Raw DLR fields (query string, form or JSON body)
+ * @returns {Object} - { valid, report, reason } where report is
+ *                     { provider, gatewayMessageId, status, gatewayStatus, errorCode, description, doneAt }
+ */
+const parseDeliveryReport = (provider, payload = {}) => {
+    // Gateways post field maps; anything else (null, strings, nested arrays) is not a report
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+        return { valid: false, reason: "INVALID_REPORT" };
+    }
+
+    const receipt = pickField(payload, ["receipt", "dlr"]);
+    const fields = receipt ? { ...parseReceiptText(receipt), ...payload } : payload;
+
+    const gatewayMessageId = pickField(fields, FIELD_ALIASES.gatewayMessageId);
+    const gatewayStatus = pickField(fields, FIELD_ALIASES.status);
+
+    if (!gatewayMessageId) {
+        return { valid: false, reason: "MISSING_MESSAGE_ID" };
+    }
+    if (!gatewayStatus) {
+        return { valid: false, reason: "MISSING_STATUS" };
+    }
+
+    const status = STATUS_MAP[gatewayStatus.toUpperCase()];
+    if (!status) {
+        return { valid: false, reason: "UNKNOWN_STATUS" };
+    }
+
+    return {
+        valid: true,
+        report: {
+            provider,
+            gatewayMessageId,
+            status,
+            gatewayStatus,
+            errorCode: pickField(fields, FIELD_ALIASES.errorCode) || null,
+            description: pickField(fields, FIELD_ALIASES.description) || null,
+            doneAt: pickField(fields, FIELD_ALIASES.doneAt) || null,
+        },
+    };
+};
+
+/**
+ * Parse a report and apply it to the message it belongs to
+ * @param {string} provider - Provider the report came from
+ * @param {Object} payload - Raw DLR fields
+ * @returns {Object} - { gatewayMessageId, accepted, matched, applied, messageId, status, reason }
+ */
+const receiveDeliveryReport = (provider, payload) => {
+    const parsed = parseDeliveryReport(provider, payload);
+    if (!parsed.valid) {
+        logger.warn("Rejected delivery report", { provider, reason: parsed.reason });
+        return { accepted: false, reason: parsed.reason };
+    }
+
+    const { report } = parsed;
+    const outcome = messageStore.applyDeliveryReport(report);
+
+    if (!outcome.matched) {
+        // Usually a report for a message sent before a restart; the gateway should not resend it
+        logger.warn("Delivery report for unknown message", {
+            provider,
+            gatewayMessageId: report.gatewayMessageId,
+        });
+    } else {
+        logger.info("Delivery report received", {
+            provider,
+            messageId: outcome.record.id,
+            gatewayStatus: report.gatewayStatus,
+            status: outcome.record.status,
+            applied: outcome.applied,
+        });
+    }
+
+    return {
+        gatewayMessageId: report.gatewayMessageId,
+        accepted: true,
+        matched: outcome.matched,
+        applied: outcome.applied,
+        messageId: outcome.record ? outcome.record.id : null,
+        status: outcome.record ? outcome.record.status : null,
+    };
+};
+
+/**
+ * Require the shared DLR callback token (security.dlrCallbackToken, DLR_CALLBACK_TOKEN).
+ * When it is not set, callbacks are refused unless running in development or sandbox mode.
+ * Gateways cannot always send headers, so `?token=` is accepted as well.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireCallbackToken = (req, res, next) => {
+    const expectedToken = config.security.dlrCallbackToken;
+    if (!expectedToken) {
+        if (OPEN_CALLBACKS) {
+            return next();
+        }
+        return res.status(503).json({
+            success: false,
+            message: "Delivery report callbacks are not configured",
+        });
+    }
+
+    const providedToken = req.get("x-dlr-token") || req.query.token || "";
+    if (!safeEqual(providedToken, expectedToken)) {
+        return res.status(403).json({
+            success: false,
+            message: "Forbidden",
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    parseDeliveryReport,
+    receiveDeliveryReport,
+    requireCallbackToken,
+    STATUS_MAP,
+};
@@ -0,0 +1,256 @@
+// dltTemplates.js - Registry of DLT-approved SMS templates and local content validation
+//
+// Operators reject any message whose text does not match the template it is sent under,
+// so content is rendered from the approved text and checked here before it reaches a gateway.
+// Approved text marks each variable part with "{#var#}".
+
+const fs = require("fs");
+const logger = require("./logger");
+const { config } = require("./config");
+
+const PLACEHOLDER = "{#var#}";
+// DLT allows at most this many characters in one variable
+const VARIABLE_MAX_LENGTH = parseInt(process.env.DLT_VARIABLE_MAX_LENGTH || "30");
+// Sender IDs a template may be used with when it does not list its own:
+// dlt.senderIds when set, otherwise the sender ID MSDG sends with
+const DEFAULT_SENDER_IDS = config.dlt.senderIds || [config.msdg.senderId].filter(Boolean);
+
+// Error codes for content that must not be sent
+const TEMPLATE_ERROR_CODES = [
+    "UNKNOWN_TEMPLATE",
+    "TEMPLATE_MISMATCH",
+    "SENDER_NOT_ALLOWED",
+    "INVALID_TEMPLATE_VARIABLES",
+];
+
+/**
+ * Templates keyed by template ID:
+ * { id, name, text, senderIds, variables, placeholderCount, pattern }
+ */
+const templates = new Map();
+
+const templateError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Register (or replace) an approved template
+ * @param {Object} template - Template definition
+ * @param {string} template.id - DLT template ID
+ * @param {string} template.name - Short name for logs and listings
+ * @param {string} template.text - Approved text with "{#var#}" placeholders
+ * @param {string[]} template.senderIds - Sender IDs allowed to use it (default dlt.senderIds or msdg.senderId)
+ * @param {string[]} template.variables - Names for the placeholders, in order (default var1, var2, ...)
+ * @returns {Object} - The registered template
+ */
+const registerTemplate = ({ id, name, text, senderIds, variables }) => {
+    if (!/^\d+$/.test(String(id || ""))) {
+        throw new Error(`DLT template ID must be numeric: ${id}`);
+    }
+    if (!text || typeof text !== "string") {
+        throw new Error(`DLT template ${id} needs its approved text`);
+    }
+
+    const parts = text.split(PLACEHOLDER);
+    const placeholderCount = parts.length - 1;
+    const names = variables || Array.from({ length: placeholderCount }, (value, index) => `var${index + 1}`);
+    if (names.length !== placeholderCount) {
+        throw new Error(`DLT template ${id} has ${placeholderCount} placeholders but ${names.length} variable names`);
+    }
+
+    const template = {
+        id: String(id),
+        name: name || String(id),
+        text,
+        senderIds: senderIds && senderIds.length ? senderIds : DEFAULT_SENDER_IDS,
+        variables: names,
+        placeholderCount,
+        pattern: new RegExp(
+            `^${parts.map(escapeRegExp).join(`([\\s\\S]{1,${VARIABLE_MAX_LENGTH}})`)}$`
+        ),
+    };
+
+    templates.set(template.id, template);
+    return template;
+};
+
+/**
+ * Look up a template
+ * @param {string} id - DLT template ID
+ * @returns {Object} - The template
+ * @throws {Error} - UNKNOWN_TEMPLATE if it is not registered
+ */
+const getTemplate = (id) => {
+    const template = id ? templates.get(String(id)) : null;
+    if (!template) {
+        throw templateError(
+            id ? `DLT template ${id} is not registered` : "A DLT template ID is required",
+            "UNKNOWN_TEMPLATE"
+        );
+    }
+    return template;
+};
+
+/**
+ * Render a template's approved text with variable values
+ * @param {string} id - DLT template ID
+ * @param {Array|Object} variables - Values in placeholder order, or keyed by the template's variable names
+ * @returns {string} - Message content
+ * @throws {Error} - UNKNOWN_TEMPLATE, or INVALID_TEMPLATE_VARIABLES for missing or over-long values
+ */
+const renderTemplate = (id, variables = []) => {
+    const template = getTemplate(id);
+    const values = Array.isArray(variables)
+        ? variables
+        : template.variables.map((name) => variables[name]);
+
+    if (values.length !== template.placeholderCount) {
+        throw templateError(
+            `DLT template ${template.id} takes ${template.placeholderCount} variables, got ${values.length}`,
+            "INVALID_TEMPLATE_VARIABLES"
+        );
+    }
+
+    const texts = values.map((value, index) => {
+        const text = value === undefined || value === null ? "" : String(value);
+        if (text === "" || text.length > VARIABLE_MAX_LENGTH) {
+            throw templateError(
+                `Variable '${template.variables[index]}' of DLT template ${template.id} must be 1-${VARIABLE_MAX_LENGTH} characters`,
+                "INVALID_TEMPLATE_VARIABLES"
+            );
+        }
+        return text;
+    });
+
+    let index = 0;
+    return template.text.split(PLACEHOLDER).reduce((content, part) => `${content}${texts[index++]}${part}`);
+};
+
+/**
+ * Check content against the template it will be sent under
+ * @param {string} id - DLT template ID
+ * @param {string} content - Message content
+ * @param {Object} options - { senderId } to check against the template's allowed sender IDs
+ * @returns {Object} - { valid, code, reason }
+ */
+const validateContent = (id, content, options = {}) => {
+    let template;
+    try {
+        template = getTemplate(id);
+    } catch (error) {
+        return { valid: false, code: error.code, reason: error.message };
+    }
+
+    if (options.senderId && !template.senderIds.includes(options.senderId)) {
+        return {
+            valid: false,
+            code: "SENDER_NOT_ALLOWED",
+            reason: `Sender ID ${options.senderId} may not use DLT template ${template.id}`,
+        };
+    }
+
+    if (typeof content !== "string" || !template.pattern.test(content)) {
+        return {
+            valid: false,
+            code: "TEMPLATE_MISMATCH",
+            reason: `Content does not match DLT template ${template.id} (${template.name})`,
+        };
+    }
+
+    return { valid: true, code: null, reason: null };
+};
+
+/**
+ * Like validateContent, but throws
+ * @param {string} id - DLT template ID
+ * @param {string} content - Message content
+ * @param {Object} options - { senderId }
+ * @throws {Error} - UNKNOWN_TEMPLATE, SENDER_NOT_ALLOWED or TEMPLATE_MISMATCH
+ */
+const assertContent = (id, content, options = {}) => {
+    const result = validateContent(id, content, options);
+    if (!result.valid) {
+        throw templateError(result.reason, result.code);
+    }
+};
+
+/**
+ * Every registered template, without internals
+ * @returns {Object[]} - { id, name, text, senderIds, variables }
+ */
+const listTemplates = () =>
+    [...templates.values()].map(({ id, name, text, senderIds, variables }) => ({
+        id,
+        name,
+        text,
+        senderIds,
+        variables,
+    }));
+
+/**
+ * Register every template in a JSON file (an array of template definitions)
+ * @param {string} filePath - Path to the file
+ * @returns {number} - Number of templates registered
+ */
+const loadTemplatesFile = (filePath) => {
+    const definitions = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (!Array.isArray(definitions)) {
+        throw new Error(`${filePath} must contain an array of DLT templates`);
+    }
+    definitions.forEach(registerTemplate);
+    return definitions.length;
+};
+
+// Templates the OTP purposes are registered under
+registerTemplate({
+    id: process.env.OTP_TEMPLATE_ID_LOGIN || "1307165847021622765",
+    name: "otp_login",
+    text: "Your OTP is {#var#} - Digital India Corporation",
+    variables: ["otp"],
+});
+if (process.env.OTP_TEMPLATE_ID_PASSWORD_RESET) {
+    registerTemplate({
+        id: process.env.OTP_TEMPLATE_ID_PASSWORD_RESET,
+        name: "otp_password_reset",
+        text: "Your OTP to reset your password is {#var#} - Digital India Corporation",
+        variables: ["otp"],
+    });
+}
+if (process.env.OTP_TEMPLATE_ID_AUTHENTICATOR_ENROLLMENT) {
+    registerTemplate({
+        id: process.env.OTP_TEMPLATE_ID_AUTHENTICATOR_ENROLLMENT,
+        name: "otp_authenticator_enrollment",
+        text: "Your OTP to set up an authenticator app is {#var#} - Digital India Corporation",
+        variables: ["otp"],
+    });
+}
+if (process.env.OTP_TEMPLATE_ID_TRANSACTION) {
+    registerTemplate({
+        id: process.env.OTP_TEMPLATE_ID_TRANSACTION,
+        name: "otp_transaction",
+        text: "Your OTP to confirm transaction {#var#} of Rs. {#var#} is {#var#} - Digital India Corporation",
+        variables: ["reference", "amount", "otp"],
+    });
+}
+
+// Further templates (and corrected approved text for the ones above) come from a file
+if (process.env.DLT_TEMPLATES_FILE) {
+    const count = loadTemplatesFile(process.env.DLT_TEMPLATES_FILE);
+    logger.info(`Loaded ${count} DLT templates from ${process.env.DLT_TEMPLATES_FILE}`);
+}
+
+module.exports = {
+    registerTemplate,
+    getTemplate,
+    renderTemplate,
+    validateContent,
+    assertContent,
+    listTemplates,
+    loadTemplatesFile,
+    TEMPLATE_ERROR_CODES,
+    VARIABLE_MAX_LENGTH,
+};
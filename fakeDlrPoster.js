@@ -0,0 +1,115 @@
+// fakeDlrPoster.js - Post fake delivery reports to the local DLR callback for testing
+//
+// Usage:
+//   node fakeDlrPoster.js <messageId> [status] [--receipt]
+//   node fakeDlrPoster.js --gateway-id <gatewayMessageId> [status] [--provider msdg]
+//
+// status is a gateway delivery state such as DELIVRD (default), UNDELIV, REJECTD or EXPIRED.
+// --receipt sends the report as an SMPP-style receipt text instead of separate fields.
+// DLR_BASE_URL (default http://localhost:9000) and DLR_CALLBACK_TOKEN are read from the environment.
+
+const axios = require('axios');
+
+const BASE_URL = process.env.DLR_BASE_URL || `http://localhost:${process.env.PORT || 9000}`;
+
+/**
+ * Format a date the way gateways do in receipts (YYMMDDhhmm)
+ * @param {Date} date - The date
+ * @returns {string}
+ */
+const formatDoneTime = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getFullYear() % 100)}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}`;
+};
+
+/**
+ * Look up the provider and gateway message ID of one of our messages
+ * @param {string} messageId - Message ID returned by a send route
+ * @returns {Promise<Object>} - { provider, gatewayMessageId }
+ */
+const resolveMessage = async (messageId) => {
+    const response = await axios.get(`${BASE_URL}/api/messages/${encodeURIComponent(messageId)}/status`, {
+        validateStatus: null,
+    });
+    if (response.status !== 200) {
+        throw new Error(`Message ${messageId} not found (HTTP ${response.status})`);
+    }
+
+    const { provider, gatewayMessageId } = response.data.data;
+    if (!gatewayMessageId) {
+        throw new Error(`Message ${messageId} has no gateway message ID to report on`);
+    }
+    return { provider, gatewayMessageId };
+};
+
+/**
+ * Post one fake delivery report
+ * @param {Object} report - { provider, gatewayMessageId, status, errorCode, receipt }
+ * @returns {Promise<Object>} - { statusCode, data } from the callback route
+ */
+const postFakeDlr = async ({ provider = 'msdg', gatewayMessageId, status = 'DELIVRD', errorCode, receipt = false }) => {
+    const doneTime = formatDoneTime(new Date());
+    const failed = ['UNDELIV', 'REJECTD', 'EXPIRED', 'DELETED', 'UNKNOWN'].includes(status);
+    const err = errorCode || (failed ? '001' : '000');
+
+    const body = receipt
+        ? { receipt: `id:${gatewayMessageId} sub:001 dlvrd:${status === 'DELIVRD' ? '001' : '000'} done date:${doneTime} stat:${status} err:${err}` }
+        : { msgid: gatewayMessageId, status, errcode: err, donetime: doneTime };
+
+    const headers = {};
+    if (process.env.DLR_CALLBACK_TOKEN) {
+        headers['X-DLR-Token'] = process.env.DLR_CALLBACK_TOKEN;
+    }
+
+    const response = await axios.post(`${BASE_URL}/api/dlr/${provider}`, body, {
+        headers,
+        validateStatus: null,
+    });
+    return { statusCode: response.status, data: response.data };
+};
+
+/**
+ * Parse the command line and post the report
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const flag = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args.splice(index, 2)[1];
+    };
+    const receipt = args.includes('--receipt');
+    const gatewayId = flag('--gateway-id');
+    const providerName = flag('--provider');
+    const positional = args.filter((arg) => arg !== '--receipt');
+
+    try {
+        let target;
+        let status;
+        if (gatewayId) {
+            target = { provider: providerName || 'msdg', gatewayMessageId: gatewayId };
+            status = positional[0];
+        } else if (positional[0]) {
+            target = await resolveMessage(positional[0]);
+            status = positional[1];
+        } else {
+            console.error('Usage: node fakeDlrPoster.js <messageId> [status] [--receipt]');
+            console.error('       node fakeDlrPoster.js --gateway-id <id> [status] [--provider msdg]');
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(`Posting ${status || 'DELIVRD'} report for ${target.provider}:${target.gatewayMessageId}`);
+        const result = await postFakeDlr({ ...target, status: status ? status.toUpperCase() : undefined, receipt });
+        console.log(`HTTP ${result.statusCode}`, JSON.stringify(result.data, null, 2));
+    } catch (error) {
+        console.error('Failed to post delivery report:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+// Run when executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = { postFakeDlr };
@@ -0,0 +1,155 @@
+// idempotency.js - Idempotency-Key support for send routes
+//
+// A client that retries a send after a network blip repeats the request with the same
+// Idempotency-Key header and gets the original response back instead of a second SMS.
+// Keys are scoped to the client address so one client cannot replay another's response.
+
+const crypto = require("crypto");
+const logger = require("./logger");
+
+// How long a key's response is replayed (default 24 hours)
+const TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || "86400000");
+const MAX_KEY_LENGTH = 255;
+// How often expired keys are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keys ("<client address> <key>") to { fingerprint, state, response, createdAt }
+ * where state is "in_progress" or "completed" and response is { statusCode, contentType, body }
+ */
+const entries = new Map();
+
+/**
+ * JSON with object keys sorted, so equal payloads always serialise the same
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of what makes two requests "the same": route, query and body
+ * @param {Object} req - Express request
+ * @returns {string} - Hex SHA-256
+ */
+const fingerprint = (req) =>
+    crypto
+        .createHash("sha256")
+        .update(
+            canonicalJson({
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                query: req.query || {},
+                body: req.body === undefined ? null : req.body,
+            })
+        )
+        .digest("hex");
+
+/**
+ * Drop keys past the retention window
+ * @returns {number} - Number of keys removed
+ */
+const sweep = () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (now - entry.createdAt >= TTL_MS) {
+            entries.delete(key);
+            removed++;
+        }
+    }
+    return removed;
+};
+
+/**
+ * Express middleware making a route idempotent for requests that carry an Idempotency-Key.
+ * Mount it before rate limiting so a replay does not count as another send.
+ * Server errors and rate-limit rejections are not remembered, so they can be retried with the same key.
+ * @returns {Function} - Express middleware
+ */
+const idempotent = () => (req, res, next) => {
+    const idempotencyKey = req.get("idempotency-key");
+    if (idempotencyKey === undefined) {
+        return next();
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+        });
+    }
+
+    const storeKey = `${req.ip} ${idempotencyKey}`;
+    const requestFingerprint = fingerprint(req);
+    const existing = entries.get(storeKey);
+
+    if (existing && Date.now() - existing.createdAt < TTL_MS) {
+        if (existing.fingerprint !== requestFingerprint) {
+            return res.status(422).json({
+                success: false,
+                message: "Idempotency-Key was already used with a different request",
+            });
+        }
+
+        if (existing.state === "in_progress") {
+            res.set("Retry-After", "1");
+            return res.status(409).json({
+                success: false,
+                message: "A request with this Idempotency-Key is still being processed",
+            });
+        }
+
+        logger.info("Replaying idempotent response", { path: req.path, statusCode: existing.response.statusCode });
+        res.set("Idempotent-Replayed", "true");
+        if (existing.response.contentType) {
+            res.set("Content-Type", existing.response.contentType);
+        }
+        return res.status(existing.response.statusCode).send(existing.response.body);
+    }
+
+    const entry = { fingerprint: requestFingerprint, state: "in_progress", response: null, createdAt: Date.now() };
+    entries.set(storeKey, entry);
+
+    // res.json ends in res.send with the serialised body, so the last call holds what was sent
+    let sentBody;
+    const send = res.send;
+    res.send = function (body) {
+        sentBody = body;
+        return send.call(this, body);
+    };
+
+    res.on("close", () => {
+        const statusCode = res.statusCode;
+        if (!res.writableFinished || statusCode >= 500 || statusCode === 429) {
+            if (entries.get(storeKey) === entry) {
+                entries.delete(storeKey);
+            }
+            return;
+        }
+
+        entry.state = "completed";
+        entry.response = { statusCode, contentType: res.get("Content-Type"), body: sentBody };
+    });
+
+    next();
+};
+
+// Periodically sweep in the background without keeping the process alive
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    idempotent,
+    sweep,
+    TTL_MS,
+};
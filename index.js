@@ -1,23 +1,74 @@
 // Import required modules
+// Settings first: an invalid configuration stops the server before anything else starts
+const { config, getRedactedConfig } = require('./config');
+const logger = require('./logger');
 const express = require('express');
 const path = require('path');
 const bodyParser = require('body-parser');
 const morgan = require('morgan');
 const { fetchData } = require('./apiService');
-const { sendOTP } = require('./otpService');
-const { sendSmsOtp, generateOTP } = require('./smsService');
+const {
+    queueOTP,
+    verifyStoredOTP,
+    verifyUserCode,
+    enrollAuthenticator,
+    confirmAuthenticator,
+    verifyAuthenticatorCode,
+} = require('./otpService');
+const authenticator = require('./authenticator');
+const { generateOTP } = require('./smsService');
+const otpPurposes = require('./otpPurposes');
+const lockoutService = require('./lockoutService');
+const { requireAdmin } = require('./adminAuth');
+const { sendRateLimit } = require('./rateLimiter');
+const { idempotent } = require('./idempotency');
+const verificationToken = require('./verificationToken');
 const { callAPIWithStaticDataAndProperSSL } = require('./smsServiceSSL');
 const axios = require('axios');
-const { sendOTPSmsnew } = require("./smsServiceNEW");
-const crypto = require('crypto');
-const https = require('https');
+const providers = require('./providers');
+const messageStore = require('./messageStore');
+const deliveryReports = require('./deliveryReports');
+const campaignService = require('./campaignService');
+const dltTemplates = require('./dltTemplates');
+const smsEncoding = require('./smsEncoding');
+const scheduler = require('./scheduler');
+const messageQueue = require('./messageQueue');
+const outbox = require('./outbox');
+const outboundProxy = require('./outboundProxy');
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 9000;
+const PORT = config.server.port;
+
+// Recipients used by the demo and gateway test routes
+const DEMO_MOBILE_NUMBER = config.demo.mobileNumber;
+const TEST_MOBILE_NUMBER = config.demo.testMobileNumber;
+
+/**
+ * Read and validate the OTP purpose and its context fields from a request
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} - { purpose, context }
+ * @throws {Error} - INVALID_PURPOSE, PURPOSE_UNAVAILABLE or INVALID_CONTEXT
+ */
+const readOtpPurpose = (source = {}) => {
+    const purpose = source.purpose;
+    otpPurposes.assertSendable(purpose);
+    const definition = otpPurposes.getPurpose(purpose);
+    const rawContext = source.context && typeof source.context === "object" ? source.context : source;
+    const context = otpPurposes.normalizeContext(
+        purpose,
+        Object.fromEntries(definition.contextFields.map((field) => [field, rawContext[field]]))
+    );
+
+    return { purpose, context };
+};
 
 // Middleware setup
 app.use(morgan("dev")); // HTTP request logger
+// Campaign uploads carry whole recipient lists, as JSON or raw CSV
+const CAMPAIGN_UPLOAD_LIMIT = process.env.CAMPAIGN_UPLOAD_LIMIT || "5mb";
+app.use("/api/campaigns", bodyParser.json({ limit: CAMPAIGN_UPLOAD_LIMIT }));
+app.use("/api/campaigns", bodyParser.text({ type: ["text/csv", "text/plain"], limit: CAMPAIGN_UPLOAD_LIMIT }));
 app.use(bodyParser.json()); // Parse JSON bodies
 app.use(bodyParser.urlencoded({ extended: true })); // Parse URL-encoded bodies
 app.use(express.static(path.join(__dirname, "public"))); // Serve static files
@@ -43,489 +94,791 @@ app.get("/api/data", (req, res) => {
 app.get("/api/users", async (req, res) => {
     try {
         const users = await fetchData("https://api.restful-api.dev/objects");
-        // Log data to console
-        console.log("Users fetched successfully:");
-        console.log(users.map((user) => ({ id: user.id, name: user.name })));
+        logger.info("Users fetched successfully", {
+            users: users.map((user) => ({ id: user.id, name: user.name })),
+        });
 
         // Return data to client
         res.json({ success: true, data: users });
     } catch (error) {
-        console.error("Error in /api/users route:", error.message);
+        logger.error("Error in /api/users route", { error: error.message });
         res.status(500).json({ success: false, message: "Failed to fetch users" });
     }
 });
 
+/**
+ * Queue an OTP send and answer with where to follow it; the send itself happens in the background
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { mobileNumber, preferredProvider, label }
+ */
+const queueOtpRequest = (req, res, { mobileNumber, preferredProvider, label }) => {
+    let purposeParams;
+    try {
+        purposeParams = readOtpPurpose(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: error.message,
+            purposes: otpPurposes.listPurposes(),
+        });
+    }
+
+    logger.info(`Received request to send ${label}`, { to: mobileNumber });
+
+    const queued = queueOTP(mobileNumber, { ...purposeParams, clientIp: req.ip, preferredProvider });
+
+    // The OTP stays on the server; the client only needs the request ID to verify it
+    // and the message ID to follow the send
+    res.status(202).json({
+        success: true,
+        message: `${label} queued for delivery`,
+        requestId: queued.requestId,
+        messageId: queued.messageId,
+        purpose: queued.purpose,
+        status: queued.status,
+        statusUrl: `/api/messages/${queued.messageId}/status`,
+        eventsUrl: `/api/messages/${queued.messageId}/events`,
+    });
+};
+
 // Route to send OTP to a mobile number
-app.get("/api/send-otp", async (req, res) => {
+app.get("/api/send-otp", idempotent(), sendRateLimit({ getMobileNumber: () => DEMO_MOBILE_NUMBER }), (req, res) => {
+    try {
+        queueOtpRequest(req, res, { mobileNumber: DEMO_MOBILE_NUMBER, label: "OTP" });
+    } catch (error) {
+        logger.error("Error in /api/send-otp route", { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: "Failed to send OTP",
+        });
+    }
+});
+
+// Same as /api/send-otp, trying the Government SMS Gateway (MSDG) first
+app.get("/api/send-govt-sms", idempotent(), sendRateLimit({ getMobileNumber: () => DEMO_MOBILE_NUMBER }), (req, res) => {
     try {
-        // const { mobileNumber } = req.body;
-        const mobileNumber = "7984085918";
-        if (!mobileNumber) {
+        queueOtpRequest(req, res, {
+            mobileNumber: DEMO_MOBILE_NUMBER,
+            preferredProvider: "msdg",
+            label: "Government SMS OTP",
+        });
+    } catch (error) {
+        logger.error("Error in /api/send-govt-sms route", { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: "Failed to send Government SMS OTP",
+        });
+    }
+});
+
+/**
+ * Send the response for a failed verification
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result from the OTP service
+ */
+const sendVerificationFailure = (res, result) => {
+    if (result.reason === "LOCKED_OUT") {
+        res.set("Retry-After", String(Math.ceil(result.lockout.retryAfterMs / 1000)));
+        return res.status(429).json({
+            success: false,
+            message: "Too many failed attempts, mobile number is temporarily locked",
+            reason: result.reason,
+            lockedUntil: result.lockout.lockedUntil,
+        });
+    }
+
+    if (result.reason === "REQUEST_ID_REQUIRED" || result.reason === "NOT_ENROLLED") {
+        return res.status(400).json({
+            success: false,
+            message: result.reason === "NOT_ENROLLED"
+                ? "No authenticator enrolment for this mobile number"
+                : "requestId is required for SMS OTP verification",
+            reason: result.reason,
+        });
+    }
+
+    return res.status(401).json({
+        success: false,
+        message: "Invalid or expired OTP",
+        reason: result.reason,
+        remainingAttempts: result.remainingAttempts,
+        locked: result.lockout ? result.lockout.locked : false,
+    });
+};
+
+// Route to verify an SMS OTP (issued by /api/send-otp or /api/send-govt-sms)
+// or an authenticator-app code, depending on the number's enrolled method
+app.post("/api/verify-otp", (req, res) => {
+    try {
+        const { mobileNumber, requestId, otp, purpose, context } = req.body || {};
+
+        if (!mobileNumber || !otp) {
             return res.status(400).json({
                 success: false,
-                message: "Mobile number is required",
+                message: "mobileNumber and otp are required",
             });
         }
 
-        console.log(`Received request to send OTP to: ${mobileNumber}`);
-
-        const result = await sendOTP(mobileNumber);
-        console.log("OTP send result:", result);
+        const result = verifyUserCode(
+            String(mobileNumber),
+            {
+                requestId: requestId ? String(requestId) : null,
+                otp: String(otp),
+            },
+            { purpose, context }
+        );
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: "OTP sent successfully",
-                // In a production app, don't send the OTP back to the client
-                // This is only for demonstration purposes
-                otp: result.otp,
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: result.message,
-            });
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
         }
+
+        // Signed proof of verification for downstream services. The purpose comes from the
+        // verification result, never the request: authenticator codes are not bound to one.
+        const token = verificationToken.issueToken({
+            mobileNumber: String(mobileNumber),
+            purpose: result.purpose,
+            requestId: result.requestId,
+            method: result.method,
+        });
+
+        res.json({
+            success: true,
+            message: "OTP verified successfully",
+            method: result.method,
+            verificationToken: token.token,
+            tokenType: token.tokenType,
+            expiresIn: token.expiresIn,
+            expiresAt: token.expiresAt,
+        });
     } catch (error) {
-        console.error("Error in /api/send-otp route:", error.message);
+        logger.error("Error in /api/verify-otp route", { error: error.message });
         res.status(500).json({
             success: false,
-            message: "Failed to send OTP",
+            message: "Failed to verify OTP",
+        });
+    }
+});
+
+// Introspect a verification token (RFC 7662 style: { active, ...claims })
+app.post("/api/token/introspect", (req, res) => {
+    const { token } = req.body || {};
+
+    if (!token) {
+        return res.status(400).json({
+            success: false,
+            message: "token is required",
         });
     }
+
+    const result = verificationToken.verifyToken(String(token));
+    if (!result.valid) {
+        return res.json({ active: false });
+    }
+
+    res.json({ active: true, ...result.claims });
 });
 
-app.get("/api/send-govt-sms", async (req, res) => {
+// Start authenticator-app enrolment; possession of the number is proven with a fresh SMS OTP
+// issued for the authenticator_enrollment purpose. Replacing a confirmed authenticator also
+// needs a current code from it (currentCode).
+app.post("/api/authenticator/enroll", (req, res) => {
     try {
-        // const { mobileNumber } = req.body;
-        const mobileNumber = "7984085918";
+        const { mobileNumber, requestId, otp, currentCode, type = "totp" } = req.body || {};
 
-        if (!mobileNumber) {
+        if (!mobileNumber || !requestId || !otp) {
             return res.status(400).json({
                 success: false,
-                message: "Mobile number is required",
+                message: "mobileNumber, requestId and otp are required",
             });
         }
 
-        console.log(
-            `Received request to send Government SMS OTP to: ${mobileNumber}`
-        );
+        if (!["totp", "hotp"].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: "type must be 'totp' or 'hotp'",
+            });
+        }
+
+        const existing = authenticator.getEnrollment(String(mobileNumber));
+        if (existing && existing.confirmed) {
+            if (!currentCode) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Replacing a confirmed authenticator needs a current code from it (currentCode)",
+                    reason: "STEP_UP_REQUIRED",
+                });
+            }
+            const stepUp = verifyAuthenticatorCode(String(mobileNumber), String(currentCode));
+            if (!stepUp.success) {
+                return sendVerificationFailure(res, stepUp);
+            }
+        }
+
+        const verification = verifyStoredOTP(String(mobileNumber), String(requestId), String(otp), {
+            purpose: "authenticator_enrollment",
+        });
+        if (!verification.success) {
+            return sendVerificationFailure(res, verification);
+        }
 
-        // Generate a 4-digit OTP
-        const otp = generateOTP(4);
+        const enrolment = enrollAuthenticator(String(mobileNumber), { type });
+
+        res.json({
+            success: true,
+            message: "Scan the URI with an authenticator app, then confirm with a code",
+            type: enrolment.type,
+            secret: enrolment.secret,
+            otpauthUri: enrolment.otpauthUri,
+        });
+    } catch (error) {
+        logger.error("Error in /api/authenticator/enroll route", { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: "Failed to enrol authenticator",
+        });
+    }
+});
 
-        // Send the OTP using the Government SMS Gateway
-        const result = await sendSmsOtp(mobileNumber, otp);
-        console.log("Government SMS OTP send result:", result);
+// Activate a pending authenticator enrolment with a first code from the app
+app.post("/api/authenticator/confirm", (req, res) => {
+    try {
+        const { mobileNumber, code } = req.body || {};
 
-        if (result.success) {
-            res.json({
-                success: true,
-                message: "OTP sent successfully via Government SMS Gateway",
-                otp: otp, // In production, don't return the OTP to the client
-            });
-        } else {
-            res.status(500).json({
+        if (!mobileNumber || !code) {
+            return res.status(400).json({
                 success: false,
-                message: result.message || "Failed to send OTP",
+                message: "mobileNumber and code are required",
             });
         }
+
+        const result = confirmAuthenticator(String(mobileNumber), String(code));
+        if (!result.success) {
+            return sendVerificationFailure(res, result);
+        }
+
+        res.json({
+            success: true,
+            message: "Authenticator enrolment confirmed",
+        });
     } catch (error) {
-        console.error("Error in /api/send-govt-sms route:", error.message);
+        logger.error("Error in /api/authenticator/confirm route", { error: error.message });
         res.status(500).json({
             success: false,
-            message: "Failed to send Government SMS OTP",
+            message: "Failed to confirm authenticator",
         });
     }
 });
 
-app.get('/api/send-sms-ssl', callAPIWithStaticDataAndProperSSL);
+// Lockout state of a mobile number
+app.get("/api/lockouts/:mobileNumber", (req, res) => {
+    const status = lockoutService.getLockoutStatus(req.params.mobileNumber);
+    res.json({
+        success: true,
+        locked: status.locked,
+        lockedUntil: status.lockedUntil,
+    });
+});
 
-app.get("/api/test-sms", async (req, res) => {
-    try {
-        const message = "Your OTP is 1234 - Digital India Corporation";
-        const mobileNumber = "9924832781";
-        const username = "<MSDG_USERNAME>";
-        const password = "<MSDG_PASSWORD>";
-        const senderId = "NCOGIT";
-        const secureKey = "<MSDG_SECURE_KEY>";
-        const templateId = "1307165847021622765";
-        const apiUrl = "https://msdgweb.mgov.gov.in/esms/sendsmsrequestDLT";
-
-        // Proxy configuration
-        const proxyHost = "10.194.81.45";
-        const proxyPort = 8080;
-
-        console.log("Setting proxy:", `${proxyHost}:${proxyPort}`);
-        console.log("Sending OTP message to:", mobileNumber);
-        console.log("Message content:", message);
-
-        // Step 1: Encrypt password (SHA-1)
-        const encryptedPassword = crypto
-            .createHash("sha1")
-            .update(password, "iso-8859-1")
-            .digest("hex");
-
-        console.log("Encrypted password (SHA-1):", encryptedPassword);
-
-        // Step 2: Generate hash key (SHA-512)
-        const inputString = `${username.trim()}${senderId.trim()}${message.trim()}${secureKey.trim()}`;
-        const generatedHashKey = crypto
-            .createHash("sha512")
-            .update(inputString)
-            .digest("hex");
-
-        console.log("Generated hash key (SHA-512):", generatedHashKey);
-
-        // Step 3: Prepare request parameters
-        const params = {
-            mobileno: mobileNumber,
-            senderid: senderId,
-            content: message,
-            smsservicetype: "otpmsg",
-            username: username,
-            password: encryptedPassword,
-            key: generatedHashKey,
-            templateid: templateId,
-        };
+// Admin: list every locked-out mobile number
+app.get("/api/admin/lockouts", requireAdmin, (req, res) => {
+    res.json({ success: true, data: lockoutService.listLockouts() });
+});
 
-        // Build query string
-        const queryString = new URLSearchParams(params).toString();
-        console.log("Query string:", queryString);
+// Admin: full lockout details of a mobile number
+app.get("/api/admin/lockouts/:mobileNumber", requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: lockoutService.getLockoutStatus(req.params.mobileNumber),
+    });
+});
 
-        // Custom HTTPS agent for TLS version and certificate validation
-        const httpsAgent = new https.Agent({
-            rejectUnauthorized: false,
-            maxVersion: "TLSv1.2",
-            minVersion: "TLSv1.2",
-        });
+// Admin: clear the lockout and failure history of a mobile number
+app.delete("/api/admin/lockouts/:mobileNumber", requireAdmin, (req, res) => {
+    const cleared = lockoutService.clearLockout(req.params.mobileNumber);
+    res.json({
+        success: true,
+        cleared,
+        message: cleared ? "Lockout cleared" : "No lockout state for this number",
+    });
+});
 
-        // Configure the request properly based on Axios documentation
-        const axiosConfig = {
-            method: "post",
-            url: apiUrl,
-            data: queryString,
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-                "Content-Length": Buffer.byteLength(queryString),
-            },
-            httpsAgent: httpsAgent,
-            // Correctly configure proxy according to Axios docs
-            // proxy: {
-            //     protocol: "http",
-            //     host: proxyHost,
-            //     port: proxyPort,
-            // },
-            maxRedirects: 0,
-            validateStatus: null,
-        };
+// Route that sends a static test OTP through the amritsarovar provider with TLS validation
+app.get('/api/send-sms-ssl', idempotent(), sendRateLimit({ getMobileNumber: () => DEMO_MOBILE_NUMBER }), async (req, res) => {
+    const body = await callAPIWithStaticDataAndProperSSL();
 
-        try {
-            console.log("Making API request to:", apiUrl);
-            const response = await axios(axiosConfig);
+    if (body) {
+        res.json({ status: "success", data: body });
+    } else {
+        res.status(500).json({
+            status: "error",
+            error: "API call failed",
+        });
+    }
+});
 
-            console.log("Response status:", response.status);
+/**
+ * Send a gateway test message through a named provider and answer the request
+ * @param {Object} res - Express response
+ * @param {string} providerName - Registered provider name
+ * @param {Object} message - { to, content, templateId, otp }
+ * @param {Object} overrides - Provider config overrides
+ */
+const sendTestMessage = async (res, providerName, message, overrides = {}) => {
+    try {
+        logger.info("Sending test message", { to: message.to, provider: providerName });
 
-            if (response.status === 200) {
-                console.log("Response data:", response.data);
-                return res.json({
-                    status: "success",
-                    data: response.data,
-                });
-            } else {
-                console.log("Non-success status code:", response.status);
-                return res.status(response.status).json({
-                    status: "error",
-                    message: "API returned non-success status code",
-                    statusCode: response.status,
-                });
-            }
-        } catch (error) {
-            console.log("API call error:", error.message);
+        const result = await providers.getProvider(providerName).send(message, overrides);
 
-            if (error.response) {
-                console.log("Error status:", error.response.status);
-                console.log("Error data:", error.response.data);
-            }
+        logger.info("Test message response", { statusCode: result.statusCode });
 
-            return res.status(500).json({
+        if (result.success) {
+            logger.debug("Test message response data", { data: result.data });
+            return res.json({
+                status: "success",
+                data: result.data,
+                gatewayCode: result.gatewayCode,
+                gatewayMessageId: result.gatewayMessageId,
+            });
+        } else {
+            logger.warn("Gateway rejected test message", { statusCode: result.statusCode, gatewayCode: result.gatewayCode });
+            // HTTP 200 with a gateway error code in the body is still a bad gateway answer
+            return res.status(result.statusCode === 200 ? 502 : result.statusCode).json({
                 status: "error",
-                error: "API call failed",
-                message: error.message,
+                message: result.message,
+                statusCode: result.statusCode,
+                gatewayCode: result.gatewayCode,
+                gatewayMessage: result.gatewayMessage,
+                retryable: result.retryable,
             });
         }
     } catch (error) {
-        console.error("Error processing request:", error);
+        logger.error("Test message error", {
+            error: error.message,
+            status: error.response ? error.response.status : undefined,
+            data: error.response ? error.response.data : undefined,
+        });
+
         return res.status(500).json({
             status: "error",
-            error: "Failed to process request",
+            error: "API call failed",
             message: error.message,
         });
     }
+};
+
+// MSDG gateway test, direct connection
+app.get("/api/test-sms", idempotent(), sendRateLimit({ getMobileNumber: () => TEST_MOBILE_NUMBER }), async (req, res) => {
+    await sendTestMessage(res, "msdg", {
+        to: TEST_MOBILE_NUMBER,
+        content: `Your OTP is ${generateOTP()} - Digital India Corporation`,
+        templateId: config.msdg.templateId,
+    }, { useProxy: false });
+});
+
+// MSDG gateway test through the proxy
+app.get("/api/test-sms-proxy", idempotent(), sendRateLimit({ getMobileNumber: () => TEST_MOBILE_NUMBER }), async (req, res) => {
+    await sendTestMessage(res, "msdg", {
+        to: TEST_MOBILE_NUMBER,
+        content: `Your OTP is ${generateOTP()} - Digital India Corporation`,
+        templateId: config.msdg.templateId,
+    }, { useProxy: true });
 });
 
+// amritsarovar sendotp test, direct connection
+app.get("/api/test-sms-send", idempotent(), sendRateLimit({ getMobileNumber: () => DEMO_MOBILE_NUMBER }), async (req, res) => {
+    await sendTestMessage(res, "amritsarovar", {
+        to: DEMO_MOBILE_NUMBER,
+        otp: generateOTP(),
+    }, { useProxy: false, rejectUnauthorized: false });
+});
 
-app.get("/api/test-sms-proxy", async (req, res) => {
-    try {
-        const message = "Your OTP is 1234 - Digital India Corporation";
-        const mobileNumber = "9924832781";
-        const username = "<MSDG_USERNAME>";
-        const password = "<MSDG_PASSWORD>";
-        const senderId = "NCOGIT";
-        const secureKey = "<MSDG_SECURE_KEY>";
-        const templateId = "1307165847021622765";
-        const apiUrl = "https://msdgweb.mgov.gov.in/esms/sendsmsrequestDLT";
-
-        // Proxy configuration
-        const proxyHost = "10.194.81.45";
-        const proxyPort = 8080;
-
-        console.log("Setting proxy:", `${proxyHost}:${proxyPort}`);
-        console.log("Sending OTP message to:", mobileNumber);
-        console.log("Message content:", message);
-
-        // Step 1: Encrypt password (SHA-1)
-        const encryptedPassword = crypto
-            .createHash("sha1")
-            .update(password, "iso-8859-1")
-            .digest("hex");
-
-        console.log("Encrypted password (SHA-1):", encryptedPassword);
-
-        // Step 2: Generate hash key (SHA-512)
-        const inputString = `${username.trim()}${senderId.trim()}${message.trim()}${secureKey.trim()}`;
-        const generatedHashKey = crypto
-            .createHash("sha512")
-            .update(inputString)
-            .digest("hex");
-
-        console.log("Generated hash key (SHA-512):", generatedHashKey);
-
-        // Step 3: Prepare request parameters
-        const params = {
-            mobileno: mobileNumber,
-            senderid: senderId,
-            content: message,
-            smsservicetype: "otpmsg",
-            username: username,
-            password: encryptedPassword,
-            key: generatedHashKey,
-            templateid: templateId,
-        };
+// Health of the registered SMS providers
+app.get("/api/health/providers", (req, res) => {
+    res.json({ success: true, data: providers.getProvidersHealth() });
+});
+
+// Dev-only outbox routes, registered only in sandbox mode (SMS_SANDBOX=true) outside production
+if (outbox.ROUTES_ENABLED) {
+    // Captured messages, newest first (?to=<mobile>&provider=<name>&limit=<n>)
+    app.get("/api/dev/outbox", (req, res) => {
+        const data = outbox.listMessages({ to: req.query.to, provider: req.query.provider, limit: req.query.limit });
+        res.json({ success: true, count: data.length, data });
+    });
+
+    app.get("/api/dev/outbox/:id", (req, res) => {
+        const entry = outbox.getMessage(req.params.id);
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: "Outbox message not found",
+            });
+        }
+        res.json({ success: true, data: entry });
+    });
 
-        // Build query string
-        const queryString = new URLSearchParams(params).toString();
-        console.log("Query string:", queryString);
+    app.delete("/api/dev/outbox", (req, res) => {
+        res.json({ success: true, cleared: outbox.clearMessages() });
+    });
+}
 
-        // Custom HTTPS agent for TLS version and certificate validation
-        const httpsAgent = new https.Agent({
-            rejectUnauthorized: false,
-            maxVersion: "TLSv1.2",
-            minVersion: "TLSv1.2",
+/**
+ * Delivery report callback. Gateways call it with GET query parameters or a
+ * form/JSON body; a JSON array (or { reports: [...] }) carries several reports.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const handleDeliveryReport = (req, res) => {
+    const provider = req.params.provider;
+    if (!providers.listProviders().includes(provider)) {
+        return res.status(404).json({
+            success: false,
+            message: `Unknown SMS provider: ${provider}`,
         });
+    }
 
-        // Configure the request properly based on Axios documentation
-        const axiosConfig = {
-            method: "post",
-            url: apiUrl,
-            data: queryString,
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-                "Content-Length": Buffer.byteLength(queryString),
-            },
-            httpsAgent: httpsAgent,
-            // Correctly configure proxy according to Axios docs
-            proxy: {
-                protocol: "http",
-                host: proxyHost,
-                port: proxyPort,
-            },
-            maxRedirects: 0,
-            validateStatus: null,
-        };
+    const body = req.body && typeof req.body === "object" && Object.keys(req.body).length ? req.body : req.query;
+    const payloads = Array.isArray(body) ? body : Array.isArray(body.reports) ? body.reports : [body];
+    if (!payloads.length) {
+        return res.status(400).json({
+            success: false,
+            message: "No delivery reports in the request",
+        });
+    }
+    const results = payloads.map((payload) => deliveryReports.receiveDeliveryReport(provider, payload));
+
+    // Unknown message IDs are still acknowledged so the gateway does not keep resending them
+    const accepted = results.filter((result) => result.accepted).length;
+    res.status(accepted ? 200 : 400).json({
+        success: accepted > 0,
+        accepted,
+        results,
+    });
+};
 
-        try {
-            console.log("Making API request to:", apiUrl);
-            const response = await axios(axiosConfig);
+app.get("/api/dlr/:provider", deliveryReports.requireCallbackToken, handleDeliveryReport);
+app.post("/api/dlr/:provider", deliveryReports.requireCallbackToken, handleDeliveryReport);
 
-            console.log("Response status:", response.status);
+// Admin: registered DLT templates with their approved text and variable names
+app.get("/api/admin/templates", requireAdmin, (req, res) => {
+    res.json({ success: true, data: dltTemplates.listTemplates() });
+});
 
-            if (response.status === 200) {
-                console.log("Response data:", response.data);
-                return res.json({
-                    status: "success",
-                    data: response.data,
-                });
-            } else {
-                console.log("Non-success status code:", response.status);
-                return res.status(response.status).json({
-                    status: "error",
-                    message: "API returned non-success status code",
-                    statusCode: response.status,
-                });
-            }
-        } catch (error) {
-            console.log("API call error:", error.message);
+// Admin: effective configuration and where each value came from, secrets redacted
+app.get("/api/admin/config", requireAdmin, (req, res) => {
+    res.json({ success: true, data: getRedactedConfig() });
+});
 
-            if (error.response) {
-                console.log("Error status:", error.response.status);
-                console.log("Error data:", error.response.data);
-            }
+// Admin: start a bulk SMS campaign. Send a JSON definition, or a CSV body
+// (Content-Type: text/csv) with name, templateId and type in the query string.
+// Recipients carry the template's variables (see GET /api/admin/templates).
+app.post("/api/campaigns", requireAdmin, idempotent(), (req, res) => {
+    const input = typeof req.body === "string"
+        ? { ...req.query, csv: req.body }
+        : req.body || {};
 
-            return res.status(500).json({
-                status: "error",
-                error: "API call failed",
-                message: error.message,
-            });
-        }
+    try {
+        const campaign = campaignService.createCampaign(input);
+        res.status(202).json({
+            success: true,
+            data: campaign,
+            statusUrl: `/api/campaigns/${campaign.id}`,
+            reportUrl: `/api/campaigns/${campaign.id}/report`,
+        });
     } catch (error) {
-        console.error("Error processing request:", error);
-        return res.status(500).json({
-            status: "error",
-            error: "Failed to process request",
+        if (error.code !== "INVALID_CAMPAIGN") {
+            throw error;
+        }
+        res.status(400).json({
+            success: false,
             message: error.message,
+            rejected: error.rejected,
         });
     }
 });
 
-app.get("/api/test-sms-send", async (req, res) => {
-    try {
-        const mobileNumber = "7984085918";
-        const otp = "123456";
-        const apiUrl = "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp";
+// Admin: every campaign's progress
+app.get("/api/campaigns", requireAdmin, (req, res) => {
+    res.json({ success: true, data: campaignService.listCampaigns() });
+});
 
-        // Proxy configuration
-        const proxyHost = "10.194.81.45";
-        const proxyPort = 8080;
+// Admin: progress of a campaign
+app.get("/api/campaigns/:id", requireAdmin, (req, res) => {
+    const campaign = campaignService.getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+    res.json({ success: true, data: campaignService.getProgress(campaign) });
+});
 
-        console.log("Setting proxy:", `${proxyHost}:${proxyPort}`);
-        console.log("Sending OTP message to:", mobileNumber);
+// Admin: per-recipient result report, as a CSV download (default) or JSON (?format=json)
+app.get("/api/campaigns/:id/report", requireAdmin, (req, res) => {
+    const campaign = campaignService.getCampaign(req.params.id);
+    if (!campaign) {
+        return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
 
+    if (req.query.format === "json") {
+        return res.json({ success: true, data: campaignService.buildReport(campaign) });
+    }
+    res.attachment(`campaign-${campaign.id}-report.csv`);
+    res.type("text/csv").send(campaignService.buildReportCsv(campaign));
+});
 
+// Admin: stop sending a campaign
+app.post("/api/campaigns/:id/cancel", requireAdmin, (req, res) => {
+    const progress = campaignService.cancelCampaign(req.params.id);
+    if (!progress) {
+        return res.status(404).json({ success: false, message: "Campaign not found" });
+    }
+    res.json({ success: true, data: progress });
+});
 
-        // Step 3: Prepare request parameters
-        const params = {
-            mobile_no: mobileNumber,
-            otp: otp
-        };
+// Errors from scheduling input that are the caller's to fix
+const SCHEDULE_INPUT_ERRORS = ["INVALID_SCHEDULE", "MESSAGE_TOO_LONG", ...dltTemplates.TEMPLATE_ERROR_CODES];
+
+/**
+ * Answer a scheduler error: 400 for bad input, 409 for jobs that can no longer change
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ */
+const sendScheduleError = (res, error) => {
+    if (error.code === "NOT_RESCHEDULABLE") {
+        return res.status(409).json({ success: false, code: error.code, message: error.message });
+    }
+    if (SCHEDULE_INPUT_ERRORS.includes(error.code)) {
+        return res.status(400).json({ success: false, code: error.code, message: error.message });
+    }
+    throw error;
+};
 
-        // Build query string
-        const queryString = new URLSearchParams(params).toString();
-        console.log("Query string:", queryString);
+// Admin: schedule a templated SMS.
+// Body: { to, templateId, variables, type, sendAt, timeZone } where sendAt is an ISO
+// timestamp with an offset, or a local "YYYY-MM-DDTHH:mm" time read in timeZone.
+app.post("/api/scheduled-messages", requireAdmin, idempotent(), (req, res) => {
+    try {
+        res.status(201).json({ success: true, data: scheduler.scheduleMessage(req.body || {}) });
+    } catch (error) {
+        sendScheduleError(res, error);
+    }
+});
 
-        // Custom HTTPS agent for TLS version and certificate validation
-        const httpsAgent = new https.Agent({
-            rejectUnauthorized: false,
-            maxVersion: "TLSv1.2",
-            minVersion: "TLSv1.2",
-        });
+// Admin: scheduled messages, soonest first (?status=scheduled|sent|failed|cancelled|missed)
+app.get("/api/scheduled-messages", requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        data: scheduler.listScheduledMessages({ status: req.query.status }),
+    });
+});
 
-        // Configure the request properly based on Axios documentation
-        const axiosConfig = {
-            method: "post",
-            url: apiUrl,
-            data: queryString,
-            headers: {
-                // "Content-Type": "application/x-www-form-urlencoded",
-                // "Content-Length": Buffer.byteLength(queryString),
-            },
-            // httpsAgent: httpsAgent,
-            // Correctly configure proxy according to Axios docs
-            // proxy: {
-            //     protocol: "http",
-            //     host: proxyHost,
-            //     port: proxyPort,
-            // },
-            maxRedirects: 0,
-            validateStatus: null,
-        };
+// Admin: one scheduled message
+app.get("/api/scheduled-messages/:id", requireAdmin, (req, res) => {
+    const job = scheduler.getScheduledMessage(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, message: "Scheduled message not found" });
+    }
+    res.json({ success: true, data: job });
+});
 
-        try {
-            console.log("Making API request to:", apiUrl);
-            const response = await axios(axiosConfig);
+// Admin: move a scheduled message to a new time. Body: { sendAt, timeZone }
+app.patch("/api/scheduled-messages/:id", requireAdmin, (req, res) => {
+    try {
+        const job = scheduler.rescheduleMessage(req.params.id, req.body || {});
+        if (!job) {
+            return res.status(404).json({ success: false, message: "Scheduled message not found" });
+        }
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendScheduleError(res, error);
+    }
+});
 
-            console.log("Response status:", response.status);
+// Admin: cancel a scheduled message that has not been sent
+app.delete("/api/scheduled-messages/:id", requireAdmin, (req, res) => {
+    try {
+        const job = scheduler.cancelScheduledMessage(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, message: "Scheduled message not found" });
+        }
+        res.json({ success: true, data: job });
+    } catch (error) {
+        sendScheduleError(res, error);
+    }
+});
 
-            if (response.status === 200) {
-                console.log("Response data:", response.data);
-                return res.json({
-                    status: "success",
-                    data: response.data,
-                });
-            } else {
-                console.log("Non-success status code:", response.status);
-                return res.status(response.status).json({
-                    status: "error",
-                    message: "API returned non-success status code",
-                    statusCode: response.status,
-                });
-            }
-        } catch (error) {
-            console.log("API call error:", error.message);
+// Encoding, length and segment count of a message, for template authors.
+// Body: { content } or { text } with "{#var#}" placeholders, optionally { templateId }
+// to check the content against a registered template.
+app.post("/api/messages/analyze", (req, res) => {
+    const { content, text, templateId } = req.body || {};
+    const message = content !== undefined ? content : text;
 
-            if (error.response) {
-                console.log("Error status:", error.response.status);
-                console.log("Error data:", error.response.data);
-            }
+    if (typeof message !== "string" || message === "") {
+        return res.status(400).json({
+            success: false,
+            message: "Provide the message as content (rendered) or text (with {#var#} placeholders)",
+        });
+    }
 
-            return res.status(500).json({
-                status: "error",
-                error: "API call failed",
-                message: error.message,
-            });
-        }
-    } catch (error) {
-        console.error("Error processing request:", error);
-        return res.status(500).json({
-            status: "error",
-            error: "Failed to process request",
-            message: error.message,
+    // With placeholders, the message is measured with every variable at one character, and
+    // again at the DLT limit (in the template's own encoding) for the worst case
+    const parts = message.split("{#var#}");
+    const analysis = smsEncoding.analyzeMessage(parts.join("x"));
+    const data = {
+        ...analysis,
+        maxSegments: smsEncoding.MAX_SEGMENTS,
+        withinLimit: analysis.segments <= smsEncoding.MAX_SEGMENTS,
+    };
+
+    if (parts.length > 1) {
+        const filler = (analysis.encoding === "UCS-2" ? "अ" : "x").repeat(dltTemplates.VARIABLE_MAX_LENGTH);
+        data.placeholders = parts.length - 1;
+        data.worstCase = smsEncoding.summarize(smsEncoding.analyzeMessage(parts.join(filler)));
+    }
+
+    if (templateId) {
+        data.template = dltTemplates.validateContent(templateId, message);
+    }
+
+    res.json({ success: true, data });
+});
+
+// How long a status subscription stays open when the message does not settle (default 5 minutes)
+const MESSAGE_EVENTS_TIMEOUT_MS = parseInt(process.env.MESSAGE_EVENTS_TIMEOUT_MS || "300000");
+
+/**
+ * Delivery state of a message together with its queue job, if it was queued
+ * @param {string} id - Message ID
+ * @returns {Object|null} - { ...message status, job }, or null if neither is known
+ */
+const getMessageStatus = (id) => {
+    const record = messageStore.getMessage(id);
+    const job = messageQueue.getJob(id);
+    if (!record && !job) {
+        return null;
+    }
+
+    // Message state is kept in memory; after a restart only a finished job may be left
+    const status = record
+        ? messageStore.toStatus(record)
+        : {
+            id,
+            status: job.status === messageQueue.JOB_STATES.FAILED
+                ? messageStore.STATES.FAILED
+                : messageStore.STATES.SUBMITTED,
+        };
+    return { ...status, job };
+};
+
+// Delivery state of a message sent through the providers
+app.get("/api/messages/:id/status", (req, res) => {
+    const status = getMessageStatus(req.params.id);
+    if (!status) {
+        return res.status(404).json({
+            success: false,
+            message: "Message not found",
         });
     }
+
+    res.json({ success: true, data: status });
 });
 
+// Server-sent events with the message's status on every change, until it reaches a final state
+app.get("/api/messages/:id/events", (req, res) => {
+    const id = req.params.id;
+    if (!getMessageStatus(id)) {
+        return res.status(404).json({
+            success: false,
+            message: "Message not found",
+        });
+    }
 
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const finish = () => {
+        messageStore.events.off("change", onChange);
+        messageQueue.events.off("update", onChange);
+        clearInterval(keepAlive);
+        clearTimeout(timeout);
+        res.end();
+    };
+
+    const send = () => {
+        const status = getMessageStatus(id);
+        res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+        if (messageStore.FINAL_STATES.includes(status.status)) {
+            finish();
+        }
+    };
 
+    const onChange = (changedId) => {
+        if (changedId === id) {
+            send();
+        }
+    };
+
+    messageStore.events.on("change", onChange);
+    messageQueue.events.on("update", onChange);
+    // Comments keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    const timeout = setTimeout(finish, MESSAGE_EVENTS_TIMEOUT_MS);
+    req.on("close", finish);
+
+    send();
+});
 
 async function testProxy() {
     try {
-        const response = await axios.get(
-            "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp",
-            {
-                proxy: {
-                    host: "10.194.81.45",
-                    port: 8080,
-                    protocol: "http",
-                },
-                timeout: 20000,
-            }
+        logger.info("Proxy route", { route: outboundProxy.describeRoute(config.amritsarovar.apiUrl) });
+        const response = await outboundProxy.request(
+            axios,
+            { method: "get", url: config.amritsarovar.apiUrl, timeout: 20000 },
+            // Report the proxy's own state rather than falling back
+            { fallbackDirect: false }
         );
-        console.log("Proxy is working:", response.data);
+        logger.info("Proxy is working", { data: response.data });
     } catch (error) {
-        console.error("Proxy test failed:", error.message);
+        logger.error("Proxy test failed", { error: error.message });
     }
 }
 
-testProxy();
+// Connectivity checks against the real gateway are pointless in sandbox mode
+if (!outbox.SANDBOX_ENABLED) {
+    testProxy();
+}
 
 async function testDirectConnection() {
     try {
-        const response = await axios.get(
-            "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp",
-            {
-                timeout: 5000,
-            }
+        const response = await outboundProxy.request(
+            axios,
+            { method: "get", url: config.amritsarovar.apiUrl, timeout: 5000 },
+            { useProxy: false }
         );
-        console.log("Direct connection working:", response.data);
+        logger.info("Direct connection working", { data: response.data });
     } catch (error) {
-        console.error("Direct connection failed:", error.message);
+        logger.error("Direct connection failed", { error: error.message });
     }
 }
-testDirectConnection();
+if (!outbox.SANDBOX_ENABLED) {
+    testDirectConnection();
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    // Client errors raised by middleware, e.g. a malformed JSON body from body-parser
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            message: err.expose ? err.message : "Bad request",
+        });
+    }
+
+    logger.error("Unhandled request error", { error: err.message, stack: err.stack });
     res.status(500).json({
         success: false,
         message: "Something went wrong!",
@@ -542,7 +895,16 @@ app.use((req, res) => {
 
 // Start the server
 app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+    logger.info(`Server is running on port ${PORT}`);
+    if (outbox.ROUTES_ENABLED) {
+        logger.info("SMS sandbox mode: messages are captured in the outbox (/api/dev/outbox), not sent");
+    } else if (outbox.SANDBOX_ENABLED) {
+        logger.warn("SMS sandbox mode: messages are captured, not sent; the outbox routes are off in production");
+    }
+    // Pick up persisted scheduled messages and start dispatching them
+    scheduler.start();
+    // Pick up persisted queued sends and start the queue workers
+    messageQueue.start();
 });
 
 module.exports = app; // Export for testing purposes
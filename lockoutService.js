@@ -0,0 +1,137 @@
+// lockoutService.js - Failed verification tracking and temporary lockout per mobile number
+
+const logger = require("./logger");
+
+// Failures allowed per mobile number inside the failure window before it is locked
+const MAX_FAILURES = parseInt(process.env.LOCKOUT_MAX_FAILURES || "5");
+// Window in which failures are counted (default 15 minutes)
+const FAILURE_WINDOW_MS = parseInt(process.env.LOCKOUT_FAILURE_WINDOW_MS || "900000");
+// How long a mobile number stays locked (default 30 minutes)
+const LOCKOUT_DURATION_MS = parseInt(process.env.LOCKOUT_DURATION_MS || "1800000");
+
+/**
+ * Per-number state: { failures: number[] (timestamps), lockedUntil: number|null }
+ */
+const numberStates = new Map();
+
+const maskNumber = (mobileNumber) =>
+    logger.maskSensitiveData(String(mobileNumber), { showFirst: 4, showLast: 2 });
+
+/**
+ * Drop failures that fall outside the counting window and clear elapsed lockouts
+ * @param {string} mobileNumber - The mobile number
+ * @returns {Object|null} - The current state, or null if nothing is tracked
+ */
+const refreshState = (mobileNumber) => {
+    const state = numberStates.get(mobileNumber);
+    if (!state) {
+        return null;
+    }
+
+    const now = Date.now();
+    state.failures = state.failures.filter((time) => now - time < FAILURE_WINDOW_MS);
+
+    if (state.lockedUntil && state.lockedUntil <= now) {
+        state.lockedUntil = null;
+    }
+
+    if (state.failures.length === 0 && !state.lockedUntil) {
+        numberStates.delete(mobileNumber);
+        return null;
+    }
+
+    return state;
+};
+
+/**
+ * Get the lockout status of a mobile number
+ * @param {string} mobileNumber - The mobile number
+ * @returns {Object} - { mobileNumber, locked, lockedUntil, retryAfterMs, failures, maxFailures }
+ */
+const getLockoutStatus = (mobileNumber) => {
+    const state = refreshState(mobileNumber);
+    const lockedUntil = state ? state.lockedUntil : null;
+
+    return {
+        mobileNumber,
+        locked: !!lockedUntil,
+        lockedUntil: lockedUntil ? new Date(lockedUntil).toISOString() : null,
+        retryAfterMs: lockedUntil ? lockedUntil - Date.now() : 0,
+        failures: state ? state.failures.length : 0,
+        maxFailures: MAX_FAILURES,
+    };
+};
+
+/**
+ * Check whether a mobile number is currently locked out
+ * @param {string} mobileNumber - The mobile number
+ * @returns {boolean} - True if locked
+ */
+const isLockedOut = (mobileNumber) => getLockoutStatus(mobileNumber).locked;
+
+/**
+ * Record a failed verification and lock the number once the limit is reached
+ * @param {string} mobileNumber - The mobile number
+ * @returns {Object} - The lockout status after recording the failure
+ */
+const recordFailure = (mobileNumber) => {
+    const state = refreshState(mobileNumber) || { failures: [], lockedUntil: null };
+    state.failures.push(Date.now());
+    numberStates.set(mobileNumber, state);
+
+    if (!state.lockedUntil && state.failures.length >= MAX_FAILURES) {
+        state.lockedUntil = Date.now() + LOCKOUT_DURATION_MS;
+        logger.warn("Mobile number locked out after repeated OTP failures", {
+            mobileMasked: maskNumber(mobileNumber),
+            failures: state.failures.length,
+            lockedUntil: new Date(state.lockedUntil).toISOString(),
+        });
+    }
+
+    return getLockoutStatus(mobileNumber);
+};
+
+/**
+ * Forget failures for a number after a successful verification
+ * @param {string} mobileNumber - The mobile number
+ */
+const recordSuccess = (mobileNumber) => {
+    const state = refreshState(mobileNumber);
+    if (state && !state.lockedUntil) {
+        numberStates.delete(mobileNumber);
+    }
+};
+
+/**
+ * Clear the lockout and failure history of a number (admin action)
+ * @param {string} mobileNumber - The mobile number
+ * @returns {boolean} - True if there was any state to clear
+ */
+const clearLockout = (mobileNumber) => {
+    const existed = numberStates.delete(mobileNumber);
+    if (existed) {
+        logger.info("Lockout cleared", { mobileMasked: maskNumber(mobileNumber) });
+    }
+    return existed;
+};
+
+/**
+ * List every number that is currently locked out
+ * @returns {Array<Object>} - Lockout statuses
+ */
+const listLockouts = () => {
+    return [...numberStates.keys()]
+        .map(getLockoutStatus)
+        .filter((status) => status.locked);
+};
+
+module.exports = {
+    getLockoutStatus,
+    isLockedOut,
+    recordFailure,
+    recordSuccess,
+    clearLockout,
+    listLockouts,
+    MAX_FAILURES,
+    LOCKOUT_DURATION_MS,
+};
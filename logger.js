@@ -12,10 +12,47 @@ if (!fs.existsSync(logsDir)) {
 
 // Define log formats
 const { format } = winston;
+
+// Secret values (gateway credentials, tokens) that must never reach a log
+const secretValues = new Set();
+
+// Shorter values would blank out ordinary words in the logs
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Replace registered secret values in strings, plain objects and arrays
+ * @param {*} value - Message or metadata value
+ * @param {number} depth - Nesting depth so far
+ * @returns {*} - A copy with secrets replaced by [REDACTED]
+ */
+const redactSecrets = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    let redacted = value;
+    secretValues.forEach(secret => {
+      redacted = redacted.split(secret).join('[REDACTED]');
+    });
+    return redacted;
+  }
+  if (depth > 5 || !value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redactSecrets(item, depth + 1));
+  if (Object.getPrototypeOf(value) !== Object.prototype) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, depth + 1)]));
+};
+
+const redactFormat = format((info) => {
+  if (secretValues.size > 0) {
+    Object.keys(info).forEach(key => {
+      info[key] = redactSecrets(info[key]);
+    });
+  }
+  return info;
+});
+
 const logFormat = format.combine(
   format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
   format.errors({ stack: true }),
   format.splat(),
+  redactFormat(),
   format.json()
 );
 
@@ -146,6 +183,13 @@ const enhancedLogger = {
   
   // Utility for masking sensitive data
   maskSensitiveData,
+
+  // Register secret values to be replaced with [REDACTED] in every log entry
+  registerSecrets: (values) => {
+    values
+      .filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH)
+      .forEach(value => secretValues.add(value));
+  },
   
   // Create a child logger with additional metadata
   child: (additionalMeta) => {
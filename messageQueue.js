@@ -0,0 +1,382 @@
+// messageQueue.js - Durable outbound queue worked by background workers
+//
+// Sends are accepted straight away and handed to a handler registered for their kind
+// ("otp", ...). Jobs are kept in a JSON file so queued and retrying sends survive a restart;
+// a job interrupted mid-send is run again after a restart (at least once). A failed attempt
+// is retried with exponential backoff while the handler reports it as retryable.
+
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const logger = require("./logger");
+const messageStore = require("./messageStore");
+
+const STORE_FILE = process.env.QUEUE_STORE_FILE || path.join(process.cwd(), "data", "message-queue.json");
+// How many jobs are worked at the same time
+const CONCURRENCY = Math.max(1, parseInt(process.env.QUEUE_CONCURRENCY || "2"));
+// Attempts a job gets unless it asks for a different number
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || "3");
+// Backoff before the first retry, doubled for every further one and capped
+const RETRY_BASE_MS = parseInt(process.env.QUEUE_RETRY_BASE_MS || "2000");
+const RETRY_MAX_MS = parseInt(process.env.QUEUE_RETRY_MAX_MS || "60000");
+// How often retries that have come due are looked for
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_MS || "1000");
+// How long finished jobs are kept (default 24 hours)
+const RETENTION_MS = parseInt(process.env.QUEUE_RETENTION_MS || "86400000");
+
+const JOB_STATES = {
+    QUEUED: "queued",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+    FAILED: "failed",
+};
+
+// States a job never leaves
+const FINAL_STATES = [JOB_STATES.COMPLETED, JOB_STATES.FAILED];
+
+/**
+ * Jobs keyed by job ID (the same ID as the job's message in messageStore):
+ * { id, kind, to, meta, payload, status, attempts, maxAttempts, nextAttemptAt, lastError, output,
+ *   createdAt, updatedAt, completedAt }
+ */
+const jobs = new Map();
+
+/**
+ * Handlers keyed by job kind
+ */
+const handlers = new Map();
+
+/**
+ * Emits "update" with the job ID whenever a job changes
+ */
+const events = new EventEmitter();
+// Every open status subscription adds a listener
+events.setMaxListeners(0);
+
+let loaded = false;
+let timer = null;
+let active = 0;
+
+/**
+ * Write every job to the store file atomically: the temporary file is flushed to disk
+ * before it replaces the store, so a crash leaves either the old or the new file
+ */
+const persist = () => {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const temporaryFile = `${STORE_FILE}.tmp`;
+    const fd = fs.openSync(temporaryFile, "w");
+    try {
+        fs.writeFileSync(fd, JSON.stringify([...jobs.values()], null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temporaryFile, STORE_FILE);
+};
+
+/**
+ * Read the store file. A file that cannot be read as a job list is moved aside
+ * (kept for inspection) and the queue starts empty rather than failing startup.
+ * @returns {Object[]} - Stored jobs
+ */
+const readStore = () => {
+    try {
+        const stored = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+        if (!Array.isArray(stored)) {
+            throw new Error("expected a list of jobs");
+        }
+        return stored;
+    } catch (error) {
+        const corruptFile = `${STORE_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(STORE_FILE, corruptFile);
+        logger.error("Queue store file is unreadable, starting empty", {
+            error: error.message,
+            movedTo: corruptFile,
+        });
+        return [];
+    }
+};
+
+/**
+ * Read jobs back from the store file, once
+ */
+const load = () => {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!fs.existsSync(STORE_FILE)) {
+        return;
+    }
+
+    const stored = readStore();
+    for (const job of stored) {
+        if (job.status === JOB_STATES.PROCESSING) {
+            // The process stopped mid-send; we cannot tell whether it went out
+            logger.warn("Re-queueing message interrupted by a restart", { jobId: job.id });
+            job.status = JOB_STATES.QUEUED;
+            job.nextAttemptAt = null;
+        }
+        if (!FINAL_STATES.includes(job.status) && !messageStore.getMessage(job.id)) {
+            // Message state lives in memory; bring it back for sends still pending
+            messageStore.createMessage({ id: job.id, to: job.to, meta: job.meta });
+        }
+        jobs.set(job.id, job);
+    }
+    logger.info(`Loaded ${stored.length} queued messages from ${STORE_FILE}`);
+};
+
+/**
+ * Update a job, save the store and tell subscribers
+ * @param {Object} job - The job
+ * @param {Object} changes - Fields to change
+ */
+const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist();
+    events.emit("update", job.id);
+};
+
+/**
+ * Job view for API clients (the payload stays internal)
+ * @param {Object} job - The job
+ * @returns {Object} - { id, kind, status, attempts, maxAttempts, nextAttemptAt, lastError, output,
+ *                       createdAt, updatedAt, completedAt }
+ */
+const toView = (job) => ({
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.nextAttemptAt,
+    lastError: job.lastError,
+    output: job.output,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+});
+
+/**
+ * Delay before the next attempt: exponential, capped, with up to 20% jitter
+ * so jobs that failed together do not all retry together
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const backoffDelay = (attempts) => {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Register the handler that sends jobs of a kind
+ * @param {string} kind - Job kind
+ * @param {Function} handler - async (payload, job) => { success, retryable, error, output }
+ */
+const registerHandler = (kind, handler) => {
+    handlers.set(kind, handler);
+};
+
+/**
+ * Queue a send and return at once
+ * @param {string} kind - Job kind (needs a registered handler)
+ * @param {Object} payload - Handler input; stored on disk, so never put secrets or OTPs in it
+ * @param {Object} options - { to, meta, maxAttempts } where to and meta go on the message record
+ * @returns {Object} - Job view; its id is also the message ID
+ */
+const enqueue = (kind, payload, options = {}) => {
+    if (!handlers.has(kind)) {
+        throw new Error(`No queue handler registered for ${kind}`);
+    }
+    load();
+
+    const message = messageStore.createMessage({ to: options.to, meta: options.meta });
+    const now = new Date().toISOString();
+    const job = {
+        id: message.id,
+        kind,
+        to: message.to,
+        meta: message.meta,
+        payload,
+        status: JOB_STATES.QUEUED,
+        attempts: 0,
+        maxAttempts: Math.max(1, parseInt(options.maxAttempts || DEFAULT_MAX_ATTEMPTS)),
+        nextAttemptAt: null,
+        lastError: null,
+        output: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    persist();
+    logger.info("Message queued", { jobId: job.id, kind });
+
+    if (timer) {
+        setImmediate(pump);
+    }
+    return toView(job);
+};
+
+/**
+ * Get a job
+ * @param {string} id - Job (message) ID
+ * @returns {Object|null} - Job view, or null if unknown
+ */
+const getJob = (id) => {
+    load();
+    const job = jobs.get(id);
+    return job ? toView(job) : null;
+};
+
+/**
+ * Make one attempt at a job and decide what happens next
+ * @param {Object} job - The job, already marked processing
+ * @returns {Promise<void>}
+ */
+const work = async (job) => {
+    let outcome;
+    try {
+        outcome = await handlers.get(job.kind)(job.payload, job);
+    } catch (error) {
+        outcome = { success: false, retryable: error.retryable !== false, error: error.message };
+    }
+
+    if (outcome.success) {
+        const now = new Date().toISOString();
+        update(job, {
+            status: JOB_STATES.COMPLETED,
+            nextAttemptAt: null,
+            lastError: null,
+            output: outcome.output || null,
+            completedAt: now,
+        });
+        logger.info("Queued message sent", { jobId: job.id, attempts: job.attempts });
+        return;
+    }
+
+    if (outcome.retryable && job.attempts < job.maxAttempts) {
+        const nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts)).toISOString();
+        update(job, {
+            status: JOB_STATES.QUEUED,
+            nextAttemptAt,
+            lastError: outcome.error || null,
+            output: outcome.output || null,
+        });
+        messageStore.markRetrying(job.id, { attempt: job.attempts + 1, nextAttemptAt, reason: job.lastError });
+        logger.warn("Queued message failed, will retry", {
+            jobId: job.id,
+            attempts: job.attempts,
+            nextAttemptAt,
+            error: job.lastError,
+        });
+        return;
+    }
+
+    update(job, {
+        status: JOB_STATES.FAILED,
+        nextAttemptAt: null,
+        lastError: outcome.error || null,
+        output: outcome.output || null,
+        completedAt: new Date().toISOString(),
+    });
+    // The queue owns the message record, so its failure is recorded here rather than per attempt
+    const message = messageStore.getMessage(job.id);
+    if (message && !messageStore.FINAL_STATES.includes(message.status)) {
+        messageStore.markFailed(job.id, { reason: job.lastError });
+    }
+    logger.error("Queued message failed", { jobId: job.id, attempts: job.attempts, error: job.lastError });
+};
+
+/**
+ * Start due jobs until every worker is busy
+ */
+const pump = () => {
+    const now = Date.now();
+    const due = [...jobs.values()]
+        .filter(
+            (job) =>
+                job.status === JOB_STATES.QUEUED &&
+                (!job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now)
+        )
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of due) {
+        if (active >= CONCURRENCY) {
+            break;
+        }
+
+        if (!handlers.has(job.kind)) {
+            update(job, { status: JOB_STATES.FAILED, lastError: `No queue handler registered for ${job.kind}` });
+            continue;
+        }
+
+        active++;
+        update(job, { status: JOB_STATES.PROCESSING, attempts: job.attempts + 1 });
+        work(job)
+            .catch((error) => logger.error("Queue worker failed", { jobId: job.id, error: error.message }))
+            .finally(() => {
+                active--;
+                if (timer) {
+                    setImmediate(pump);
+                }
+            });
+    }
+};
+
+/**
+ * Drop finished jobs past their retention
+ */
+const sweep = () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, job] of jobs) {
+        if (FINAL_STATES.includes(job.status) && now - new Date(job.updatedAt).getTime() >= RETENTION_MS) {
+            jobs.delete(id);
+            removed++;
+        }
+    }
+    if (removed) {
+        persist();
+    }
+};
+
+/**
+ * Load persisted jobs and start the workers
+ */
+const start = () => {
+    if (timer) {
+        return;
+    }
+    load();
+    timer = setInterval(() => {
+        try {
+            sweep();
+            pump();
+        } catch (error) {
+            logger.error("Queue poll failed", { error: error.message });
+        }
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+    setImmediate(pump);
+};
+
+/**
+ * Stop picking up jobs (jobs already being worked finish)
+ */
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    registerHandler,
+    enqueue,
+    getJob,
+    start,
+    stop,
+    events,
+    JOB_STATES,
+};
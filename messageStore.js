@@ -0,0 +1,253 @@
+// messageStore.js - Per-message delivery state, from queueing to the handset's delivery report
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const logger = require("./logger");
+
+const STATES = {
+    QUEUED: "queued",
+    SUBMITTED: "submitted",
+    DELIVERED: "delivered",
+    FAILED: "failed",
+    EXPIRED: "expired",
+};
+
+// States a message never leaves once reached
+const FINAL_STATES = [STATES.DELIVERED, STATES.FAILED, STATES.EXPIRED];
+
+// How long a submitted message may wait for its delivery report before it counts as expired (default 48 hours)
+const DLR_TIMEOUT_MS = parseInt(process.env.DLR_TIMEOUT_MS || "172800000");
+// How long message records are kept after their last update (default 7 days)
+const RETENTION_MS = parseInt(process.env.MESSAGE_RETENTION_MS || "604800000");
+// How often expired and stale records are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Message records keyed by message ID:
+ * { id, to, provider, gatewayMessageId, status, meta, error, createdAt, updatedAt, history }
+ */
+const messages = new Map();
+
+/**
+ * Gateway message IDs ("<provider>:<gatewayMessageId>") to our message IDs
+ */
+const gatewayIndex = new Map();
+
+/**
+ * Emits "change" with the message ID whenever a message changes state
+ */
+const events = new EventEmitter();
+// Every open status subscription adds a listener
+events.setMaxListeners(0);
+
+const gatewayKey = (provider, gatewayMessageId) => `${provider}:${gatewayMessageId}`;
+
+/**
+ * Move a message to a new state and remember the transition
+ * @param {Object} record - The message record
+ * @param {string} status - The new state
+ * @param {Object} detail - Extra detail kept with the history entry
+ */
+const transition = (record, status, detail = {}) => {
+    const at = new Date().toISOString();
+    record.status = status;
+    record.updatedAt = at;
+    record.history.push({ status, at, ...detail });
+    events.emit("change", record.id);
+};
+
+/**
+ * Create a message record in the queued state
+ * @param {Object} message - { id, to, meta } where meta is free-form caller context (requestId, purpose, ...)
+ *                           and id is only given when restoring a message (a new ID is generated otherwise)
+ * @returns {Object} - The record
+ */
+const createMessage = ({ id, to, meta = {} }) => {
+    const now = new Date().toISOString();
+    const record = {
+        id: id || crypto.randomUUID(),
+        to: String(to),
+        provider: null,
+        gatewayMessageId: null,
+        status: STATES.QUEUED,
+        meta,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: STATES.QUEUED, at: now }],
+    };
+
+    messages.set(record.id, record);
+    return record;
+};
+
+/**
+ * Get a message record
+ * @param {string} id - Message ID
+ * @returns {Object|null} - The record, or null if unknown
+ */
+const getMessage = (id) => messages.get(id) || null;
+
+/**
+ * Find a message by the ID its provider's gateway gave it
+ * @param {string} provider - Provider name
+ * @param {string} gatewayMessageId - Gateway message ID
+ * @returns {Object|null} - The record, or null if unknown
+ */
+const findByGatewayMessageId = (provider, gatewayMessageId) => {
+    const id = gatewayIndex.get(gatewayKey(provider, gatewayMessageId));
+    return id ? getMessage(id) : null;
+};
+
+/**
+ * Record that a provider accepted the message
+ * @param {string} id - Message ID
+ * @param {Object} submission - { provider, gatewayMessageId }
+ * @returns {Object|null} - The updated record
+ */
+const markSubmitted = (id, { provider, gatewayMessageId }) => {
+    const record = getMessage(id);
+    if (!record) {
+        return null;
+    }
+
+    record.provider = provider;
+    record.gatewayMessageId = gatewayMessageId || null;
+    if (record.gatewayMessageId) {
+        gatewayIndex.set(gatewayKey(provider, record.gatewayMessageId), id);
+    }
+
+    transition(record, STATES.SUBMITTED, { provider, gatewayMessageId: record.gatewayMessageId });
+    return record;
+};
+
+/**
+ * Record that the message could not be handed to any provider
+ * @param {string} id - Message ID
+ * @param {Object} failure - { reason, provider }
+ * @returns {Object|null} - The updated record
+ */
+const markFailed = (id, { reason, provider = null }) => {
+    const record = getMessage(id);
+    if (!record) {
+        return null;
+    }
+
+    record.error = reason || null;
+    transition(record, STATES.FAILED, { provider, reason: record.error });
+    return record;
+};
+
+/**
+ * Record that a failed send will be tried again
+ * @param {string} id - Message ID
+ * @param {Object} retry - { attempt, nextAttemptAt, reason } where reason is why the last attempt failed
+ * @returns {Object|null} - The updated record
+ */
+const markRetrying = (id, { attempt, nextAttemptAt, reason = null }) => {
+    const record = getMessage(id);
+    if (!record) {
+        return null;
+    }
+
+    record.error = reason;
+    transition(record, STATES.QUEUED, { retry: attempt, nextAttemptAt, reason });
+    return record;
+};
+
+/**
+ * Apply a delivery report to the message it belongs to
+ * @param {Object} report - { provider, gatewayMessageId, status, errorCode, description, doneAt }
+ * @returns {Object} - { matched, applied, record }
+ */
+const applyDeliveryReport = (report) => {
+    const record = findByGatewayMessageId(report.provider, report.gatewayMessageId);
+    if (!record) {
+        return { matched: false, applied: false, record: null };
+    }
+
+    // Reports can arrive more than once and out of order; a final state sticks
+    if (FINAL_STATES.includes(record.status)) {
+        logger.debug("Ignoring delivery report for message in final state", {
+            messageId: record.id,
+            status: record.status,
+            reportStatus: report.status,
+        });
+        return { matched: true, applied: false, record };
+    }
+
+    if (report.status === STATES.FAILED || report.status === STATES.EXPIRED) {
+        record.error = report.description || report.errorCode || report.status;
+    }
+    transition(record, report.status, {
+        source: "dlr",
+        errorCode: report.errorCode || null,
+        doneAt: report.doneAt || null,
+    });
+
+    return { matched: true, applied: true, record };
+};
+
+/**
+ * Status view of a message that is safe to hand to API clients
+ * @param {Object} record - The message record
+ * @returns {Object} - { id, to (masked), status, provider, gatewayMessageId, error, meta, createdAt, updatedAt, history }
+ */
+const toStatus = (record) => ({
+    id: record.id,
+    to: logger.maskSensitiveData(record.to, { showFirst: 2, showLast: 2 }),
+    status: record.status,
+    provider: record.provider,
+    gatewayMessageId: record.gatewayMessageId,
+    error: record.error,
+    meta: record.meta,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    history: record.history,
+});
+
+/**
+ * Expire submitted messages whose report never came and drop old records
+ * @returns {Object} - { expired, removed }
+ */
+const sweep = () => {
+    const now = Date.now();
+    let expired = 0;
+    let removed = 0;
+
+    for (const [id, record] of messages) {
+        const age = now - new Date(record.updatedAt).getTime();
+
+        if (record.status === STATES.SUBMITTED && age >= DLR_TIMEOUT_MS) {
+            record.error = "No delivery report received";
+            transition(record, STATES.EXPIRED, { source: "timeout" });
+            expired++;
+        } else if (FINAL_STATES.includes(record.status) && age >= RETENTION_MS) {
+            messages.delete(id);
+            if (record.gatewayMessageId) {
+                gatewayIndex.delete(gatewayKey(record.provider, record.gatewayMessageId));
+            }
+            removed++;
+        }
+    }
+
+    return { expired, removed };
+};
+
+// Periodically sweep in the background without keeping the process alive
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+    createMessage,
+    getMessage,
+    findByGatewayMessageId,
+    markSubmitted,
+    markFailed,
+    markRetrying,
+    applyDeliveryReport,
+    toStatus,
+    sweep,
+    events,
+    STATES,
+    FINAL_STATES,
+};
@@ -0,0 +1,15 @@
+// mobileNumber.js - Indian mobile number validation
+
+/**
+ * Normalise an Indian mobile number to its 10 digits
+ * @param {string} value - Number as entered (spaces, dashes, +91, 0 prefix allowed)
+ * @returns {string|null} - 10-digit number, or null if it is not a valid mobile number
+ */
+const normalizeMobileNumber = (value) => {
+    const digits = String(value || "").replace(/[\s\-().]/g, "").replace(/^(\+?91|0)(?=\d{10}$)/, "");
+    return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+module.exports = {
+    normalizeMobileNumber,
+};
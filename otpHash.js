@@ -0,0 +1,73 @@
+// otpHash.js - Keyed hashing of OTPs so plaintext codes are never stored
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const { config } = require("./config");
+
+/**
+ * Server secret used to HMAC issued OTPs.
+ * Without OTP_HASH_SECRET a random per-process secret is used, which means
+ * OTPs issued before a restart can no longer be verified.
+ */
+const resolveSecret = () => {
+    if (config.security.otpHashSecret) {
+        return Buffer.from(config.security.otpHashSecret, "utf8");
+    }
+
+    logger.warn("OTP_HASH_SECRET is not set, using a random per-process secret");
+    return crypto.randomBytes(32);
+};
+
+const secret = resolveSecret();
+
+/**
+ * HMAC an OTP, bound to the number, request, purpose and context it was issued for
+ * @param {string} otp - Plaintext OTP
+ * @param {Object} binding - Values the hash is bound to
+ * @param {string} binding.mobileNumber - Recipient mobile number
+ * @param {string} binding.requestId - Request ID the OTP was issued under
+ * @param {string} binding.purpose - Purpose the OTP was issued for
+ * @param {string} binding.context - Serialised purpose context
+ * @returns {string} - Hex HMAC-SHA256 digest
+ */
+const hashOTP = (otp, { mobileNumber, requestId, purpose = "", context = "" } = {}) => {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(JSON.stringify([mobileNumber, requestId, purpose, context, otp]))
+        .digest("hex");
+};
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} a - First digest
+ * @param {string} b - Second digest
+ * @returns {boolean} - True if equal
+ */
+const safeEqualHex = (a, b) => {
+    const bufferA = Buffer.from(String(a || ""), "hex");
+    const bufferB = Buffer.from(String(b || ""), "hex");
+
+    if (bufferA.length === 0 || bufferA.length !== bufferB.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Compare two plaintext strings in constant time (independent of where they differ)
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const safeEqual = (a, b) => {
+    const digestA = crypto.createHmac("sha256", secret).update(String(a)).digest();
+    const digestB = crypto.createHmac("sha256", secret).update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+};
+
+module.exports = {
+    hashOTP,
+    safeEqualHex,
+    safeEqual,
+};
@@ -0,0 +1,132 @@
+// otpPolicy.js - Single, cryptographically secure OTP generator with a configurable policy
+
+const crypto = require("crypto");
+
+/**
+ * Character sets an OTP can be drawn from.
+ * The alphanumeric set leaves out characters that are easy to confuse (0/O, 1/I/L).
+ */
+const CHARSETS = {
+    numeric: "0123456789",
+    alphanumeric: "ABCDEFGHJKMNPQRSTUVWXYZ23456789",
+};
+
+// Give up after this many blacklisted draws instead of looping forever on a bad policy
+const MAX_GENERATION_ATTEMPTS = 100;
+
+/**
+ * Default policy, overridable through the environment
+ */
+const defaultPolicy = {
+    length: parseInt(process.env.OTP_LENGTH || "6"),
+    charset: process.env.OTP_CHARSET || "numeric",
+    // Extra codes to reject outright, e.g. "000000,123123"
+    blacklist: (process.env.OTP_BLACKLIST || "")
+        .split(",")
+        .map((code) => code.trim())
+        .filter(Boolean),
+    rejectRepeated: process.env.OTP_REJECT_REPEATED !== "false",
+    rejectSequential: process.env.OTP_REJECT_SEQUENTIAL !== "false",
+};
+
+/**
+ * Resolve a policy from defaults and overrides.
+ * A bare number is accepted as the length for older callers of generateOTP(length).
+ * @param {Object|number} options - Policy overrides
+ * @returns {Object} - Effective policy
+ */
+const resolvePolicy = (options = {}) => {
+    const overrides = typeof options === "number" ? { length: options } : options || {};
+    const policy = { ...defaultPolicy, ...overrides };
+
+    if (policy.length === undefined || policy.length === null) {
+        policy.length = defaultPolicy.length;
+    }
+
+    if (!Number.isInteger(policy.length) || policy.length < 4 || policy.length > 12) {
+        throw new Error(`Invalid OTP length: ${policy.length} (expected 4-12)`);
+    }
+
+    const alphabet = CHARSETS[policy.charset];
+    if (!alphabet) {
+        throw new Error(`Unknown OTP charset: ${policy.charset}`);
+    }
+
+    return { ...policy, alphabet };
+};
+
+/**
+ * Whether every character of a code is the same (e.g. 1111, AAAA)
+ * @param {string} code - Candidate OTP
+ * @returns {boolean}
+ */
+const isRepeated = (code) => /^(.)\1+$/.test(code);
+
+/**
+ * Whether a code steps through its alphabet in order (e.g. 1234, 9876, ABCD)
+ * @param {string} code - Candidate OTP
+ * @param {string} alphabet - The alphabet the code was drawn from
+ * @returns {boolean}
+ */
+const isSequential = (code, alphabet) => {
+    const positions = [...code].map((char) => alphabet.indexOf(char));
+    const step = positions[1] - positions[0];
+
+    if (Math.abs(step) !== 1) {
+        return false;
+    }
+
+    return positions.every((position, i) => i === 0 || position - positions[i - 1] === step);
+};
+
+/**
+ * Check a code against the blacklisted patterns of a policy
+ * @param {string} code - Candidate OTP
+ * @param {Object|number} options - Policy overrides
+ * @returns {boolean} - True if the code must not be issued
+ */
+const isBlacklisted = (code, options = {}) => {
+    const policy = resolvePolicy(options);
+
+    if (policy.blacklist.includes(code)) {
+        return true;
+    }
+    if (policy.rejectRepeated && isRepeated(code)) {
+        return true;
+    }
+    if (policy.rejectSequential && isSequential(code, policy.alphabet)) {
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Generate an OTP using a CSPRNG
+ * @param {Object|number} options - Policy overrides (length, charset, blacklist, rejectRepeated, rejectSequential)
+ * @returns {string} - Generated OTP
+ */
+const generateOTP = (options = {}) => {
+    const policy = resolvePolicy(options);
+
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+        let code = "";
+        for (let i = 0; i < policy.length; i++) {
+            code += policy.alphabet[crypto.randomInt(policy.alphabet.length)];
+        }
+
+        if (!isBlacklisted(code, policy)) {
+            return code;
+        }
+    }
+
+    throw new Error("Could not generate an OTP that satisfies the policy");
+};
+
+module.exports = {
+    generateOTP,
+    isBlacklisted,
+    resolvePolicy,
+    CHARSETS,
+    defaultPolicy,
+};
@@ -0,0 +1,145 @@
+// otpPurposes.js - What an OTP may be used for, and how each purpose is worded and bound
+
+const dltTemplates = require("./dltTemplates");
+
+/**
+ * Supported OTP purposes.
+ * - templateId: DLT template the SMS is sent under; its approved text lives in the template
+ *   registry, with variables named "otp" and after the context fields
+ * - contextFields: context values bound to the OTP; all must be presented again on verification.
+ *   The SMS has to show them, so such a purpose can only be sent with its template
+ * - ttlMs: optional purpose-specific lifetime
+ */
+const PURPOSES = {
+    login: {
+        templateId: process.env.OTP_TEMPLATE_ID_LOGIN || "1307165847021622765",
+        contextFields: [],
+    },
+    password_reset: {
+        templateId: process.env.OTP_TEMPLATE_ID_PASSWORD_RESET || null,
+        contextFields: [],
+        ttlMs: 10 * 60 * 1000,
+    },
+    // Proves possession of the number before an authenticator app is enrolled for it
+    authenticator_enrollment: {
+        templateId: process.env.OTP_TEMPLATE_ID_AUTHENTICATOR_ENROLLMENT || null,
+        contextFields: [],
+        ttlMs: 10 * 60 * 1000,
+    },
+    transaction: {
+        templateId: process.env.OTP_TEMPLATE_ID_TRANSACTION || null,
+        contextFields: ["amount", "reference"],
+        ttlMs: 3 * 60 * 1000,
+    },
+};
+
+/**
+ * Look up a purpose definition
+ * @param {string} purpose - Purpose name
+ * @returns {Object} - Purpose definition
+ * @throws {Error} - If the purpose is missing or unknown (code INVALID_PURPOSE)
+ */
+const getPurpose = (purpose) => {
+    const definition = purpose ? PURPOSES[purpose] : null;
+
+    if (!definition) {
+        const error = new Error(
+            purpose ? `Unknown OTP purpose: ${purpose}` : "OTP purpose is required"
+        );
+        error.code = "INVALID_PURPOSE";
+        throw error;
+    }
+
+    return definition;
+};
+
+/**
+ * Check that OTPs for a purpose can be sent. A purpose with context fields needs its DLT
+ * template: providers that word the message themselves (amritsarovar) would leave the
+ * context out, and the user would confirm an amount or reference they were never shown.
+ * @param {string} purpose - Purpose name
+ * @throws {Error} - INVALID_PURPOSE, or PURPOSE_UNAVAILABLE when the context cannot be shown
+ */
+const assertSendable = (purpose) => {
+    const definition = getPurpose(purpose);
+    if (definition.contextFields.length && !definition.templateId) {
+        const error = new Error(
+            `OTP purpose '${purpose}' needs a DLT template to show its ${definition.contextFields.join(" and ")}`
+        );
+        error.code = "PURPOSE_UNAVAILABLE";
+        throw error;
+    }
+};
+
+/**
+ * Validate and normalise the context of an OTP for its purpose.
+ * Only the purpose's declared fields are kept, as strings.
+ * @param {string} purpose - Purpose name
+ * @param {Object} context - Raw context values
+ * @returns {Object} - Normalised context
+ * @throws {Error} - If a required field is missing (code INVALID_CONTEXT)
+ */
+const normalizeContext = (purpose, context = {}) => {
+    const definition = getPurpose(purpose);
+    const normalized = {};
+
+    for (const field of definition.contextFields) {
+        const value = context ? context[field] : undefined;
+        if (value === undefined || value === null || String(value).trim() === "") {
+            const error = new Error(`OTP purpose '${purpose}' requires context field '${field}'`);
+            error.code = "INVALID_CONTEXT";
+            throw error;
+        }
+        normalized[field] = String(value).trim();
+    }
+
+    return normalized;
+};
+
+/**
+ * Canonical string form of a context, used when binding it into an OTP hash
+ * @param {Object} context - Normalised context
+ * @returns {string} - Stable serialisation (keys sorted)
+ */
+const serializeContext = (context = {}) => {
+    return JSON.stringify(
+        Object.keys(context)
+            .sort()
+            .map((key) => [key, context[key]])
+    );
+};
+
+/**
+ * Render the SMS text for a purpose from its DLT template
+ * @param {string} purpose - Purpose name
+ * @param {string} otp - The OTP
+ * @param {Object} context - Normalised context
+ * @returns {string} - Message text
+ * @throws {Error} - UNKNOWN_TEMPLATE if the purpose has no registered template
+ */
+const renderMessage = (purpose, otp, context = {}) => {
+    const definition = getPurpose(purpose);
+    if (!definition.templateId) {
+        const error = new Error(`No DLT template configured for OTP purpose '${purpose}'`);
+        error.code = "UNKNOWN_TEMPLATE";
+        throw error;
+    }
+
+    return dltTemplates.renderTemplate(definition.templateId, { ...context, otp });
+};
+
+/**
+ * Names of all supported purposes
+ * @returns {string[]}
+ */
+const listPurposes = () => Object.keys(PURPOSES);
+
+module.exports = {
+    getPurpose,
+    assertSendable,
+    normalizeContext,
+    serializeContext,
+    renderMessage,
+    listPurposes,
+    PURPOSES,
+};
@@ -1,37 +1,35 @@
 // otpService.js - Service for handling OTP operations
 
-const { postData } = require("./apiService");
-
-
-const getTimestamp = () => {
-    const now = new Date();
-    return now.toISOString();
-};
-
-
-const formatLog = (message, category = "INFO") => {
-    return `[${getTimestamp()}] [${category}] ${message}`;
-};
-
-
+const crypto = require("crypto");
+const logger = require("./logger");
+const router = require("./providers/router");
+const otpStore = require("./otpStore");
+const lockoutService = require("./lockoutService");
+const rateLimiter = require("./rateLimiter");
+const otpPolicy = require("./otpPolicy");
+const { safeEqual } = require("./otpHash");
+const authenticator = require("./authenticator");
+const otpPurposes = require("./otpPurposes");
+const smsEncoding = require("./smsEncoding");
+const messageQueue = require("./messageQueue");
+
+
+// OTP logs go through the shared logger, which redacts registered secrets
 const log = {
     info: (message, data = null) => {
-        console.log(formatLog(message, "INFO"), data ? data : "");
+        logger.info(message, data || {});
     },
     debug: (message, data = null) => {
-        console.log(formatLog(message, "DEBUG"), data ? data : "");
+        logger.debug(message, data || {});
     },
     error: (message, error = null) => {
-        console.error(formatLog(message, "ERROR"), error ? error : "");
-        if (error && error.stack) {
-            console.error(formatLog(`Stack trace: ${error.stack}`, "ERROR"));
-        }
+        logger.error(message, error instanceof Error ? { error: error.message, stack: error.stack } : error || {});
     },
     warn: (message, data = null) => {
-        console.warn(formatLog(message, "WARN"), data ? data : "");
+        logger.warn(message, data || {});
     },
     trace: (message, ...params) => {
-        console.log(formatLog(message, "TRACE"), ...params);
+        logger.debug(message, params.length ? { params } : {});
     },
 };
 
@@ -53,27 +51,60 @@ const maskSensitive = (text, visibleStart = 2, visibleEnd = 2) => {
 };
 
 
-const generateOTP = (length = 6) => {
-    log.debug(`Generating OTP of length ${length}`);
+/**
+ * Deep-copy a value with every occurrence of an OTP replaced by asterisks
+ * @param {*} value - Value to redact (typically a gateway response)
+ * @param {string} otp - The plaintext OTP
+ * @returns {*} - Redacted copy
+ */
+const redactOTP = (value, otp) => {
+    if (!otp) {
+        return value;
+    }
+    if (typeof value === "string") {
+        return value.split(otp).join("*".repeat(otp.length));
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redactOTP(item, otp));
+    }
+    if (value && typeof value === "object") {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, redactOTP(item, otp)])
+        );
+    }
+    return value;
+};
 
-    const digits = "0123456789";
-    let OTP = "";
 
-    for (let i = 0; i < length; i++) {
-        OTP += digits[Math.floor(Math.random() * 10)];
-    }
+const generateOTP = (options = {}) => {
+    log.debug(`Generating OTP`, { policy: typeof options === "number" ? { length: options } : options });
 
-    log.debug(`OTP generation complete`, { length });
+    const OTP = otpPolicy.generateOTP(options);
+
+    log.debug(`OTP generation complete`, { length: OTP.length });
     return OTP;
 };
 
 
 const generateRequestId = () => {
-    return `req_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+    return `req_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
 };
 
+/**
+ * Send an OTP and keep its hash server-side for later verification
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} otp - OTP to send (generated from the OTP policy if null)
+ * @param {Object} options - Send options
+ * @param {string} options.purpose - Required: what the OTP is for (see otpPurposes.js)
+ * @param {Object} options.context - Purpose context, e.g. { amount, reference }
+ * @param {number} options.ttlMs - Lifetime override
+ * @param {string} options.requestId - Request ID to issue the OTP under (generated if omitted)
+ * @param {string} options.messageId - Existing message record to track the send on
+ * @param {string} options.preferredProvider - Provider to try first (default amritsarovar)
+ * @returns {Promise<Object>} - { success, requestId, purpose, expiresAt, response, ... }
+ */
 const sendOTP = async (mobileNumber, otp = null, options = {}) => {
-    const requestId = generateRequestId();
+    const requestId = options.requestId || generateRequestId();
     const startTime = Date.now();
 
     log.info(`[${requestId}] OTP process started`, {
@@ -91,6 +122,12 @@ const sendOTP = async (mobileNumber, otp = null, options = {}) => {
             throw new Error("Invalid mobile number");
         }
 
+        // Every OTP is issued for exactly one purpose (and its context)
+        otpPurposes.assertSendable(options.purpose);
+        const purposeDefinition = otpPurposes.getPurpose(options.purpose);
+        const context = otpPurposes.normalizeContext(options.purpose, options.context);
+        log.debug(`[${requestId}] OTP purpose: ${options.purpose}`);
+
         // Generate OTP if not provided
         log.debug(
             `[${requestId}] ${otp ? "Using provided OTP" : "Generating new OTP"}`
@@ -103,108 +140,96 @@ const sendOTP = async (mobileNumber, otp = null, options = {}) => {
                 4,
                 2
             )}`,
-            { otpMasked: maskSensitive(otpToSend, 1, 1) }
-        );
-
-        // Default options
-        log.debug(`[${requestId}] Setting up default options`);
-        const defaultOptions = {
-            proxyHost: process.env.PROXY_HOST || "10.194.81.45", // Default proxy host
-            proxyPort: parseInt(process.env.PROXY_PORT || "8080"), // Default proxy port
-            timeout: parseInt(process.env.API_TIMEOUT || "3000000"), // Default 30s timeout
-            headers: {
-                "Content-Type": "application/json",
-            },
-        };
-
-        // Merge default options with user-provided options
-        const finalOptions = { ...defaultOptions, ...options };
-        log.debug(`[${requestId}] Options configured`, {
-            timeout: finalOptions.timeout,
-            headers: Object.keys(finalOptions.headers),
-        });
-
-        // Prepare request data
-        const requestData = {
-            mobile_no: mobileNumber,
-            otp: otpToSend,
-        };
-
-        log.info(
-            `[${requestId}] Using proxy: ${finalOptions.proxyHost}:${finalOptions.proxyPort}`
+            { otpLength: otpToSend.length }
         );
 
-        // Configure proxy for the API call
-        const apiOptions = {
-            timeout: finalOptions.timeout,
-            headers: finalOptions.headers,
-            proxy: {
-                host: finalOptions.proxyHost,
-                port: finalOptions.proxyPort,
-                protocol: "http",
-            },
-            requestId: requestId,
-            timeout: 120000
+        // Timeouts and proxy routing are per provider (config.js, outboundProxy.js);
+        // only extra request headers are passed down from here
+        const headers = options.headers || {};
+
+        // Providers that send free text (MSDG) need the purpose's DLT template; without one,
+        // only providers that word the message themselves can deliver it. Those cannot show
+        // the context, so a context-bound OTP goes out as rendered content only.
+        const message = {
+            to: mobileNumber,
+            otp: purposeDefinition.contextFields.length ? undefined : otpToSend,
+            content: purposeDefinition.templateId
+                ? otpPurposes.renderMessage(options.purpose, otpToSend, context)
+                : null,
+            templateId: purposeDefinition.templateId,
         };
-
-        // Additional logging for proxy configuration
-        log.debug(`[${requestId}] Proxy configuration complete`, {
-            host: apiOptions.proxy.host,
-            port: apiOptions.proxy.port,
-            timeout: apiOptions.timeout,
-        });
+        const analysis = message.content ? smsEncoding.assertWithinSegmentLimit(message.content) : null;
 
         // Log before API call
         log.info(`[${requestId}] Initiating API call to send OTP`, {
-            endpoint: "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp",
+            providers: options.provider ? [options.provider] : "by priority",
             mobileDigits: mobileNumber.length,
             otpLength: otpToSend.length,
         });
 
         const apiCallStartTime = Date.now();
-        // Send OTP request to the server
-        const response = await postData(
-            "https://amritsarovar.gov.in/EmailSmsServer/api/sendotp",
-            requestData,
-            apiOptions
-        );
+        // Send OTP request through the providers, amritsarovar first unless configured otherwise
+        const routed = await router.sendWithFailover(message, {
+            providers: options.provider ? [options.provider] : undefined,
+            preferred: options.preferredProvider || "amritsarovar",
+            messageId: options.messageId,
+            meta: { requestId, purpose: options.purpose },
+            overrides: {
+                headers: { ...headers, "X-Request-ID": requestId },
+            },
+        });
         const apiCallDuration = Date.now() - apiCallStartTime;
 
         // Log API call duration
-        log.info(`[${requestId}] API call completed in ${apiCallDuration}ms`);
+        log.info(`[${requestId}] API call completed in ${apiCallDuration}ms`, {
+            provider: routed.provider,
+            attempts: routed.attempts.length,
+        });
 
-        // Detailed response logging
-        if (response && response.status) {
-            log.info(`[${requestId}] OTP send response status: ${response.status}`);
+        if (!routed.success) {
+            log.warn(`[${requestId}] Every provider failed`, { attempts: routed.attempts });
+            const gatewayError = new Error(
+                `All providers failed (${routed.attempts.map((attempt) => attempt.provider).join(", ")})`
+            );
+            gatewayError.code = "GATEWAY_ERROR";
+            gatewayError.attempts = routed.attempts;
+            gatewayError.retryable = routed.retryable;
+            gatewayError.messageId = routed.messageId;
+            throw gatewayError;
         }
 
-        if (response && response.data) {
-            log.debug(`[${requestId}] OTP send response data received`, {
-                hasData: !!response.data,
-                dataKeys: response.data ? Object.keys(response.data) : [],
-            });
-        }
+        const result = routed.result;
+        log.info(`[${requestId}] OTP send response status: ${result.statusCode}`);
 
-        // Log any errors
-        if (response && !response.success) {
-            log.warn(`[${requestId}] API call returned non-success status`, {
-                status: response.status,
-                message: response.message || "No message provided",
-            });
-        }
+        const response = result.data;
+
+        // Keep the issued OTP server-side so it never has to leave the backend
+        const stored = otpStore.saveOTP(mobileNumber, requestId, otpToSend, {
+            ttlMs: options.ttlMs || purposeDefinition.ttlMs,
+            purpose: options.purpose,
+            context,
+        });
+        log.debug(`[${requestId}] OTP stored`, { expiresAt: stored.expiresAt });
 
         const totalDuration = Date.now() - startTime;
         log.info(`[${requestId}] OTP process completed in ${totalDuration}ms`, {
-            success: response && response.success ? true : false,
+            provider: routed.provider,
             apiCallDuration,
         });
 
         return {
             success: true,
             message: "OTP sent successfully",
-            otp: otpToSend, // Return the OTP for verification purposes (in real app, store securely)
-            response: response,
+            // The gateway may echo the request back; make sure the code does not leave with it
+            response: redactOTP(response, otpToSend),
+            provider: routed.provider,
+            messageId: routed.messageId,
+            gatewayMessageId: result.gatewayMessageId || null,
+            analysis: analysis ? smsEncoding.summarize(analysis) : null,
+            attempts: routed.attempts,
             requestId: requestId,
+            purpose: stored.purpose,
+            expiresAt: stored.expiresAt,
             durationMs: totalDuration,
         };
     } catch (error) {
@@ -231,11 +256,15 @@ const sendOTP = async (mobileNumber, otp = null, options = {}) => {
             success: false,
             message: `Failed to send OTP: ${error.message}`,
             requestId: requestId,
+            messageId: error.messageId || null,
             error: {
                 message: error.message,
                 code: error.code,
                 name: error.name,
             },
+            attempts: error.attempts || [],
+            // Only gateway failures can be worth retrying; bad input never is
+            retryable: error.code === "GATEWAY_ERROR" ? error.retryable : false,
             durationMs: errorDuration,
         };
     }
@@ -256,12 +285,16 @@ const verifyOTP = (providedOTP, expectedOTP, options = {}) => {
     const caseSensitive = options.caseSensitive !== false;
 
     let isValid;
-    if (caseSensitive) {
-        isValid = providedOTP === expectedOTP;
+    if (providedOTP === undefined || providedOTP === null || expectedOTP === undefined || expectedOTP === null) {
+        isValid = false;
+    } else if (caseSensitive) {
+        isValid = safeEqual(providedOTP, expectedOTP);
         log.debug(`[${verifyId}] Performing case-sensitive verification`);
     } else {
-        isValid =
-            String(providedOTP).toLowerCase() === String(expectedOTP).toLowerCase();
+        isValid = safeEqual(
+            String(providedOTP).toLowerCase(),
+            String(expectedOTP).toLowerCase()
+        );
         log.debug(`[${verifyId}] Performing case-insensitive verification`);
     }
 
@@ -294,114 +327,289 @@ const verifyOTP = (providedOTP, expectedOTP, options = {}) => {
 };
 
 
-const retrySendOTP = async (mobileNumber, options = {}, maxRetries = 3) => {
-    const retryId = generateRequestId();
-    const startTime = Date.now();
+/**
+ * Verify a submitted OTP against the server-side store and consume it on success.
+ * The purpose and context must match the ones the OTP was issued for.
+ * Wrong guesses count against both the OTP and the mobile number; too many
+ * invalidate the OTP and lock the number out.
+ * @param {string} mobileNumber - The mobile number the OTP was sent to
+ * @param {string} requestId - The request ID returned when the OTP was sent
+ * @param {string} providedOTP - The OTP submitted by the user
+ * @param {Object} options - Verification options
+ * @param {string} options.purpose - Purpose the OTP is presented for
+ * @param {Object} options.context - Purpose context (e.g. { amount, reference })
+ * @param {boolean} options.caseSensitive - Compare case-sensitively (default: true)
+ * @returns {Object} - { success, purpose, reason, remainingAttempts, lockout }
+ */
+const verifyStoredOTP = (mobileNumber, requestId, providedOTP, options = {}) => {
+    const lockout = lockoutService.getLockoutStatus(mobileNumber);
+    if (lockout.locked) {
+        log.warn(`[${requestId}] Verification rejected, mobile number is locked out`, {
+            mobileMasked: maskSensitive(mobileNumber, 4, 2),
+            lockedUntil: lockout.lockedUntil,
+        });
+        return { success: false, reason: "LOCKED_OUT", lockout };
+    }
 
-    log.info(`[${retryId}] Starting OTP retry process`, {
+    const entry = otpStore.getOTP(mobileNumber, requestId);
+
+    if (!entry) {
+        log.warn(`[${requestId}] No active OTP found for verification`, {
+            mobileMasked: maskSensitive(mobileNumber, 4, 2),
+        });
+        return {
+            success: false,
+            reason: "OTP_NOT_FOUND_OR_EXPIRED",
+            lockout: lockoutService.recordFailure(mobileNumber),
+        };
+    }
+
+    // The OTP only counts for the purpose and context it was issued for
+    let mismatchReason = null;
+    if (entry.purpose !== options.purpose) {
+        mismatchReason = "PURPOSE_MISMATCH";
+    } else {
+        try {
+            const context = otpPurposes.normalizeContext(options.purpose, options.context);
+            if (!otpStore.matchesOTP(entry, providedOTP, { ...options, context })) {
+                mismatchReason = "OTP_MISMATCH";
+            }
+        } catch (error) {
+            mismatchReason = "CONTEXT_MISMATCH";
+        }
+    }
+
+    if (mismatchReason) {
+        const attempt = otpStore.recordFailedAttempt(mobileNumber, requestId);
+        const numberLockout = lockoutService.recordFailure(mobileNumber);
+
+        if (numberLockout.locked) {
+            // A locked number must not be able to use any OTP still outstanding
+            otpStore.invalidateAllForNumber(mobileNumber);
+        }
+
+        log.warn(`[${requestId}] Failed OTP attempt recorded`, {
+            reason: mismatchReason,
+            attempts: attempt.attempts,
+            remainingAttempts: attempt.remainingAttempts,
+            otpInvalidated: attempt.invalidated,
+            numberLocked: numberLockout.locked,
+        });
+
+        return {
+            success: false,
+            reason: attempt.invalidated ? "OTP_ATTEMPTS_EXCEEDED" : mismatchReason,
+            remainingAttempts: attempt.remainingAttempts,
+            lockout: numberLockout,
+        };
+    }
+
+    // An OTP can only be used once
+    otpStore.consumeOTP(mobileNumber, requestId);
+    lockoutService.recordSuccess(mobileNumber);
+    log.info(`[${requestId}] OTP consumed after successful verification`);
+
+    return { success: true, purpose: entry.purpose };
+};
+
+
+/**
+ * Start authenticator-app (TOTP/HOTP) enrolment for a mobile number
+ * @param {string} mobileNumber - The mobile number being enrolled
+ * @param {Object} options - { type: "totp" | "hotp" }
+ * @returns {Object} - { type, secret, otpauthUri } to show to the user once
+ */
+const enrollAuthenticator = (mobileNumber, options = {}) => {
+    const enrolment = authenticator.enroll(mobileNumber, options);
+    log.info(`Authenticator enrolment started`, {
         mobileMasked: maskSensitive(mobileNumber, 4, 2),
-        maxRetries,
+        type: enrolment.type,
     });
+    return enrolment;
+};
 
-    let lastError = null;
-    let attempt = 0;
 
-    while (attempt < maxRetries) {
-        attempt++;
-        const attemptStartTime = Date.now();
+/**
+ * Check an authenticator code, counting failures towards the number's lockout
+ * @param {string} mobileNumber - The enrolled mobile number
+ * @param {string} code - Code from the authenticator app
+ * @returns {Object} - { success, reason, lockout }
+ */
+const verifyAuthenticatorCode = (mobileNumber, code) => {
+    const lockout = lockoutService.getLockoutStatus(mobileNumber);
+    if (lockout.locked) {
+        return { success: false, reason: "LOCKED_OUT", lockout };
+    }
 
-        log.info(`[${retryId}] OTP send attempt ${attempt}/${maxRetries}`);
+    const result = authenticator.verifyCode(mobileNumber, code);
+    if (!result.success) {
+        log.warn(`Authenticator code rejected`, {
+            mobileMasked: maskSensitive(mobileNumber, 4, 2),
+            reason: result.reason,
+        });
+        return { ...result, lockout: lockoutService.recordFailure(mobileNumber) };
+    }
 
-        try {
-            // Calculate backoff time: 2^attempt * 1000ms + random(0-500)ms
-            const backoffTime =
-                attempt > 1 ? Math.pow(2, attempt - 1) * 1000 + Math.random() * 500 : 0;
-
-            if (backoffTime > 0) {
-                log.debug(
-                    `[${retryId}] Backing off for ${Math.round(
-                        backoffTime
-                    )}ms before retry attempt ${attempt}`
-                );
-                await new Promise((resolve) => setTimeout(resolve, backoffTime));
-            }
+    lockoutService.recordSuccess(mobileNumber);
+    return { success: true };
+};
 
-            // Add retry information to the request
-            const retryOptions = {
-                ...options,
-                headers: {
-                    ...(options.headers || {}),
-                    "X-Retry-Attempt": attempt,
-                    "X-Retry-Max": maxRetries,
-                    "X-Retry-ID": retryId,
-                },
-            };
-
-            log.debug(`[${retryId}] Calling sendOTP for attempt ${attempt}`, {
-                backoffMs: Math.round(backoffTime),
-                elapsedMs: Date.now() - startTime,
-            });
 
-            const result = await sendOTP(mobileNumber, null, retryOptions);
-            const attemptDuration = Date.now() - attemptStartTime;
-
-            if (result.success) {
-                log.info(
-                    `[${retryId}] OTP send succeeded on attempt ${attempt} in ${attemptDuration}ms`
-                );
-
-                const totalDuration = Date.now() - startTime;
-                log.info(
-                    `[${retryId}] Total retry process completed successfully in ${totalDuration}ms`,
-                    {
-                        attempts: attempt,
-                        maxRetries,
-                    }
-                );
-
-                return {
-                    ...result,
-                    attempt,
-                    attempts: attempt,
-                    retryId,
-                    totalDurationMs: totalDuration,
-                };
-            }
+/**
+ * Activate a pending authenticator enrolment with a first valid code
+ * @param {string} mobileNumber - The enrolled mobile number
+ * @param {string} code - Code from the authenticator app
+ * @returns {Object} - { success, reason, lockout }
+ */
+const confirmAuthenticator = (mobileNumber, code) => {
+    const result = verifyAuthenticatorCode(mobileNumber, code);
+    if (result.success) {
+        authenticator.confirmEnrollment(mobileNumber);
+        log.info(`Authenticator enrolment confirmed`, {
+            mobileMasked: maskSensitive(mobileNumber, 4, 2),
+        });
+    }
+    return result;
+};
 
-            log.warn(
-                `[${retryId}] Attempt ${attempt} failed after ${attemptDuration}ms: ${result.message}`
-            );
-            lastError = new Error(result.message);
-        } catch (error) {
-            const attemptDuration = Date.now() - attemptStartTime;
-            log.error(
-                `[${retryId}] Attempt ${attempt} encountered exception after ${attemptDuration}ms:`,
-                error
-            );
-            lastError = error;
+
+/**
+ * Verify a code with whichever method the number is enrolled in:
+ * a confirmed authenticator app, otherwise the SMS OTP issued under requestId.
+ * Only an SMS OTP is bound to a purpose, so only that path reports one; authenticator
+ * codes prove the number alone and come back with purpose null.
+ * @param {string} mobileNumber - The mobile number
+ * @param {Object} params - { requestId, otp }
+ * @param {Object} options - Verification options (see verifyStoredOTP)
+ * @returns {Object} - { success, method, requestId, purpose, reason, ... }
+ */
+const verifyUserCode = (mobileNumber, { requestId, otp } = {}, options = {}) => {
+    const enrolment = authenticator.getEnrollment(mobileNumber);
+
+    if (enrolment && enrolment.confirmed) {
+        return {
+            ...verifyAuthenticatorCode(mobileNumber, otp),
+            method: enrolment.type,
+            requestId: generateRequestId(),
+            purpose: null,
+        };
+    }
+
+    if (!requestId) {
+        return { success: false, method: "sms", reason: "REQUEST_ID_REQUIRED" };
+    }
+
+    return { ...verifyStoredOTP(mobileNumber, requestId, otp, options), method: "sms", requestId };
+};
+
+
+/**
+ * Queue worker for OTP sends. The code is generated here, at send time, so it is never
+ * written to the queue file; every retry issues a fresh code under the same request ID.
+ * @param {Object} payload - { mobileNumber, requestId, purpose, context, clientIp, preferredProvider }
+ * @param {Object} job - The queue job
+ * @returns {Promise<Object>} - { success, retryable, error, output }
+ */
+const sendQueuedOTP = async (payload, job) => {
+    if (job.attempts > 1) {
+        // Every attempt costs a gateway SMS, so retries count against the send limits.
+        // Only the resend cooldown is waived for retries of the same send.
+        const limit = rateLimiter.consumeSend({
+            mobileNumber: payload.mobileNumber,
+            ip: payload.clientIp,
+            skipCooldown: true,
+        });
+        if (!limit.allowed) {
+            log.warn(`[${payload.requestId}] Retry ${job.attempts} blocked by rate limiter`, {
+                reason: limit.reason,
+            });
+            return { success: false, retryable: false, error: rateLimiter.createRateLimitError(limit).message };
         }
     }
 
-    const totalDuration = Date.now() - startTime;
-    log.error(
-        `[${retryId}] All ${maxRetries} attempts to send OTP failed after ${totalDuration}ms`,
+    const result = await sendOTP(payload.mobileNumber, null, {
+        purpose: payload.purpose,
+        context: payload.context,
+        requestId: payload.requestId,
+        messageId: job.id,
+        preferredProvider: payload.preferredProvider,
+        headers: {
+            "X-Retry-Attempt": job.attempts,
+            "X-Retry-Max": job.maxAttempts,
+        },
+    });
+
+    return {
+        success: result.success,
+        retryable: result.retryable,
+        error: result.success ? null : result.message,
+        output: {
+            requestId: result.requestId,
+            provider: result.provider || null,
+            gatewayMessageId: result.gatewayMessageId || null,
+            expiresAt: result.expiresAt || null,
+            analysis: result.analysis || null,
+            providerAttempts: result.attempts,
+        },
+    };
+};
+
+messageQueue.registerHandler("otp", sendQueuedOTP);
+
+/**
+ * Queue an OTP send and return at once; background workers send it and retry
+ * retryable failures. Send limits for the first attempt are the caller's to apply.
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {Object} options - { purpose, context, clientIp, preferredProvider }
+ * @param {Object} queueOptions - { maxAttempts }
+ * @returns {Object} - { success, status, requestId, messageId, purpose }
+ * @throws {Error} - For an invalid mobile number, purpose or context
+ */
+const queueOTP = (mobileNumber, options = {}, queueOptions = {}) => {
+    if (!mobileNumber || String(mobileNumber).length < 10) {
+        throw new Error("Invalid mobile number");
+    }
+    // Reject bad input now rather than in a worker
+    otpPurposes.assertSendable(options.purpose);
+    const context = otpPurposes.normalizeContext(options.purpose, options.context);
+
+    const requestId = generateRequestId();
+    const job = messageQueue.enqueue(
+        "otp",
         {
-            mobileMasked: maskSensitive(mobileNumber, 4, 2),
-            lastError: lastError ? lastError.message : "Unknown error",
-        }
+            mobileNumber,
+            requestId,
+            purpose: options.purpose,
+            context,
+            clientIp: options.clientIp || null,
+            preferredProvider: options.preferredProvider || null,
+        },
+        { to: mobileNumber, meta: { requestId, purpose: options.purpose }, maxAttempts: queueOptions.maxAttempts }
     );
 
-    // Throw detailed error with retry information
-    const enhancedError = new Error(
-        `Failed to send OTP after ${maxRetries} attempts: ${lastError ? lastError.message : "Unknown error"
-        }`
-    );
-    enhancedError.retryId = retryId;
-    enhancedError.attempts = maxRetries;
-    enhancedError.totalDurationMs = totalDuration;
-    enhancedError.originalError = lastError;
+    log.info(`[${requestId}] OTP queued`, {
+        messageId: job.id,
+        mobileMasked: maskSensitive(mobileNumber, 4, 2),
+    });
+
+    return { success: true, status: job.status, requestId, messageId: job.id, purpose: options.purpose };
+};
+
+/**
+ * Queue an OTP with up to maxRetries attempts, applying the send limits to the first one
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {Object} options - { purpose, context, clientIp, preferredProvider }
+ * @param {number} maxRetries - Attempts in total
+ * @returns {Promise<Object>} - See queueOTP; poll the message ID for the outcome
+ * @throws {Error} - RATE_LIMITED, or for invalid input
+ */
+const retrySendOTP = async (mobileNumber, options = {}, maxRetries = 3) => {
+    const limit = rateLimiter.consumeSend({ mobileNumber, ip: options.clientIp });
+    if (!limit.allowed) {
+        throw rateLimiter.createRateLimitError(limit);
+    }
 
-    throw enhancedError;
+    return queueOTP(mobileNumber, options, { maxAttempts: maxRetries });
 };
 
 // Export functions
@@ -409,9 +617,16 @@ module.exports = {
     generateOTP,
     sendOTP,
     verifyOTP,
+    verifyStoredOTP,
+    verifyUserCode,
+    enrollAuthenticator,
+    confirmAuthenticator,
+    verifyAuthenticatorCode,
+    queueOTP,
     retrySendOTP,
     // Expose logging utilities for external use
     log,
     maskSensitive,
+    redactOTP,
     generateRequestId,
 };
@@ -0,0 +1,209 @@
+// otpStore.js - Server-side store for issued OTPs
+
+const { hashOTP, safeEqualHex } = require("./otpHash");
+const { serializeContext } = require("./otpPurposes");
+
+/**
+ * Issued OTPs keyed by `${mobileNumber}:${requestId}`.
+ * Only HMACs of the codes are kept, never the plaintext.
+ * Entries are removed when they are consumed or once they expire.
+ */
+const otpEntries = new Map();
+
+// Default time-to-live for an issued OTP (5 minutes)
+const DEFAULT_TTL_MS = parseInt(process.env.OTP_TTL_MS || "300000");
+// Wrong guesses allowed against a single OTP before it is invalidated
+const MAX_ATTEMPTS_PER_OTP = parseInt(process.env.OTP_MAX_ATTEMPTS || "3");
+
+/**
+ * Build the map key for an OTP entry
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} requestId - The request ID the OTP was issued under
+ * @returns {string} - Store key
+ */
+const buildKey = (mobileNumber, requestId) => `${mobileNumber}:${requestId}`;
+
+/**
+ * Remove every entry whose expiry time has passed
+ * @returns {number} - Number of entries removed
+ */
+const purgeExpired = () => {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of otpEntries) {
+        if (entry.expiresAt <= now) {
+            otpEntries.delete(key);
+            removed++;
+        }
+    }
+
+    return removed;
+};
+
+/**
+ * Store an issued OTP as a keyed hash
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} requestId - The request ID the OTP was issued under
+ * @param {string} otp - The issued OTP (plaintext, not retained)
+ * @param {Object} options - Store options
+ * @param {number} options.ttlMs - Time-to-live in milliseconds
+ * @param {string} options.purpose - Purpose the OTP was issued for
+ * @param {Object} options.context - Normalised purpose context, bound into the hash
+ * @returns {Object} - Metadata of the stored entry (never the OTP itself)
+ */
+const saveOTP = (mobileNumber, requestId, otp, options = {}) => {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    const issuedAt = Date.now();
+    const purpose = options.purpose || "";
+    const binding = {
+        mobileNumber,
+        requestId,
+        purpose,
+        context: serializeContext(options.context),
+    };
+    const entry = {
+        mobileNumber,
+        requestId,
+        purpose,
+        otpHash: hashOTP(String(otp), binding),
+        // Case-folded hash, used when verifying alphanumeric codes case-insensitively
+        otpHashFolded: hashOTP(String(otp).toUpperCase(), binding),
+        issuedAt,
+        expiresAt: issuedAt + ttlMs,
+        attempts: 0,
+        maxAttempts: options.maxAttempts || MAX_ATTEMPTS_PER_OTP,
+    };
+
+    otpEntries.set(buildKey(mobileNumber, requestId), entry);
+
+    return {
+        mobileNumber,
+        requestId,
+        purpose,
+        issuedAt: new Date(issuedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        ttlMs,
+    };
+};
+
+/**
+ * Look up a live OTP entry
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} requestId - The request ID the OTP was issued under
+ * @returns {Object|null} - The entry, or null if missing or expired
+ */
+const getOTP = (mobileNumber, requestId) => {
+    const key = buildKey(mobileNumber, requestId);
+    const entry = otpEntries.get(key);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        otpEntries.delete(key);
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * Check a submitted code against a stored entry in constant time
+ * @param {Object} entry - Entry returned by getOTP
+ * @param {string} providedOTP - The code submitted by the user
+ * @param {Object} options - Match options
+ * @param {boolean} options.caseSensitive - Compare case-sensitively (default: true)
+ * @param {string} options.purpose - Purpose presented with the code
+ * @param {Object} options.context - Normalised context presented with the code
+ * @returns {boolean} - True if code, purpose and context all match
+ */
+const matchesOTP = (entry, providedOTP, options = {}) => {
+    if (!entry || providedOTP === undefined || providedOTP === null) {
+        return false;
+    }
+
+    const binding = {
+        mobileNumber: entry.mobileNumber,
+        requestId: entry.requestId,
+        purpose: options.purpose || "",
+        context: serializeContext(options.context),
+    };
+
+    if (options.caseSensitive === false) {
+        return safeEqualHex(hashOTP(String(providedOTP).toUpperCase(), binding), entry.otpHashFolded);
+    }
+
+    return safeEqualHex(hashOTP(String(providedOTP), binding), entry.otpHash);
+};
+
+/**
+ * Remove an OTP entry so it cannot be used again
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} requestId - The request ID the OTP was issued under
+ * @returns {boolean} - True if an entry was removed
+ */
+const consumeOTP = (mobileNumber, requestId) => {
+    return otpEntries.delete(buildKey(mobileNumber, requestId));
+};
+
+/**
+ * Count a wrong guess against an OTP, invalidating it once its attempts run out
+ * @param {string} mobileNumber - The recipient mobile number
+ * @param {string} requestId - The request ID the OTP was issued under
+ * @returns {Object} - { attempts, remainingAttempts, invalidated }
+ */
+const recordFailedAttempt = (mobileNumber, requestId) => {
+    const entry = getOTP(mobileNumber, requestId);
+
+    if (!entry) {
+        return { attempts: 0, remainingAttempts: 0, invalidated: true };
+    }
+
+    entry.attempts++;
+    const remainingAttempts = Math.max(entry.maxAttempts - entry.attempts, 0);
+
+    if (remainingAttempts === 0) {
+        consumeOTP(mobileNumber, requestId);
+    }
+
+    return {
+        attempts: entry.attempts,
+        remainingAttempts,
+        invalidated: remainingAttempts === 0,
+    };
+};
+
+/**
+ * Remove every outstanding OTP issued to a mobile number
+ * @param {string} mobileNumber - The recipient mobile number
+ * @returns {number} - Number of entries removed
+ */
+const invalidateAllForNumber = (mobileNumber) => {
+    let removed = 0;
+
+    for (const [key, entry] of otpEntries) {
+        if (entry.mobileNumber === mobileNumber) {
+            otpEntries.delete(key);
+            removed++;
+        }
+    }
+
+    return removed;
+};
+
+// Sweep expired entries periodically; unref so the timer never keeps the process alive
+setInterval(purgeExpired, 60000).unref();
+
+module.exports = {
+    saveOTP,
+    getOTP,
+    matchesOTP,
+    consumeOTP,
+    recordFailedAttempt,
+    invalidateAllForNumber,
+    purgeExpired,
+    DEFAULT_TTL_MS,
+    MAX_ATTEMPTS_PER_OTP,
+};
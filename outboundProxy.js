@@ -0,0 +1,224 @@
+// outboundProxy.js - Route outbound HTTP(S) calls directly or through a forward proxy
+//
+// HTTPS destinations go through a CONNECT tunnel (https-proxy-agent), so TLS runs end to end
+// between us and the destination; plain HTTP destinations are sent to the proxy as absolute-URI
+// requests (http-proxy-agent). The route for a URL is picked in this order:
+//   1. useProxy: false from the caller                 -> direct
+//   2. a proxy.noProxy entry (NO_PROXY or no_proxy)    -> direct
+//   3. the first matching proxy.rules entry            -> that proxy, or direct
+//   4. the default proxy (proxy.host/port)
+// proxy.username/password are added to any proxy URL that carries no credentials of its own.
+// Host patterns (NO_PROXY entries and rules) are "*", a host name matching itself and its
+// subdomains ("gov.in", ".gov.in" or "*.gov.in"), or an IP, each optionally with ":port".
+// Rules are "<pattern>=<proxy URL>" or "<pattern>=direct", e.g. "*.gov.in=http://10.194.81.45:8080".
+// With proxy.fallbackDirect, a call whose proxy cannot be reached is retried once directly.
+
+const http = require("http");
+const https = require("https");
+const { HttpProxyAgent } = require("http-proxy-agent");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const logger = require("./logger");
+const { config } = require("./config");
+
+// Errors meaning the proxy itself could not be reached, so the request never left us
+// and retrying it directly cannot send it twice
+const PROXY_UNREACHABLE_CODES = ["ECONNREFUSED", "EHOSTUNREACH", "ENETUNREACH", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * Agents by route and TLS settings, reused across calls
+ */
+const agents = new Map();
+
+/**
+ * Strip IPv6 brackets and lower-case a host name
+ * @param {string} host - Host name or IP
+ * @returns {string}
+ */
+const normalizeHost = (host) => host.replace(/^\[|\]$/g, "").toLowerCase();
+
+/**
+ * Whether a host pattern matches a destination
+ * @param {string} pattern - NO_PROXY-style pattern, optionally with ":port"
+ * @param {string} hostname - Destination host
+ * @param {string} port - Destination port
+ * @returns {boolean}
+ */
+const matchesHost = (pattern, hostname, port) => {
+    if (pattern === "*") {
+        return true;
+    }
+
+    const withPort = /^(\[[^\]]+\]|[^:]+):(\d+)$/.exec(pattern);
+    if (withPort && withPort[2] !== port) {
+        return false;
+    }
+    const host = normalizeHost(withPort ? withPort[1] : pattern).replace(/^\*?\./, "");
+    const destination = normalizeHost(hostname);
+    return destination === host || destination.endsWith(`.${host}`);
+};
+
+/**
+ * Add the configured proxy credentials to a proxy URL that has none
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {string}
+ */
+const withCredentials = (proxyUrl) => {
+    const url = new URL(proxyUrl);
+    if (config.proxy.username && !url.username) {
+        url.username = encodeURIComponent(config.proxy.username);
+        url.password = encodeURIComponent(config.proxy.password || "");
+    }
+    return url.toString();
+};
+
+/**
+ * Proxy URL without credentials, for logs and health output
+ * @param {string|null} proxyUrl - Proxy URL
+ * @returns {string}
+ */
+const describeProxy = (proxyUrl) => {
+    if (!proxyUrl) {
+        return "direct";
+    }
+    const url = new URL(proxyUrl);
+    return `${url.protocol}//${url.host}`;
+};
+
+/**
+ * Pick the route for a destination URL
+ * @param {string} destination - Destination URL
+ * @param {Object} options - { useProxy, proxyHost, proxyPort } (host and port default to proxy.host/port)
+ * @returns {Object} - { proxyUrl (null for direct), reason }
+ */
+const resolveRoute = (destination, options = {}) => {
+    const url = new URL(destination);
+    const port = url.port || (url.protocol === "https:" ? "443" : "80");
+
+    if (options.useProxy === false) {
+        return { proxyUrl: null, reason: "proxy disabled for this call" };
+    }
+    const noProxy = config.proxy.noProxy.find((pattern) => matchesHost(pattern, url.hostname, port));
+    if (noProxy) {
+        return { proxyUrl: null, reason: `NO_PROXY ${noProxy}` };
+    }
+
+    for (const rule of config.proxy.rules) {
+        const separator = rule.indexOf("=");
+        const pattern = rule.slice(0, separator);
+        const target = rule.slice(separator + 1);
+        if (matchesHost(pattern, url.hostname, port)) {
+            return { proxyUrl: target === "direct" ? null : withCredentials(target), reason: `rule ${pattern}` };
+        }
+    }
+
+    const proxyHost = options.proxyHost || config.proxy.host;
+    if (!proxyHost) {
+        return { proxyUrl: null, reason: "no proxy configured" };
+    }
+    const proxyPort = options.proxyPort || config.proxy.port;
+    return {
+        proxyUrl: withCredentials(`${config.proxy.protocol}://${proxyHost}:${proxyPort}`),
+        reason: "default proxy",
+    };
+};
+
+/**
+ * Build (or reuse) the agent for a route
+ * @param {string} protocol - Destination protocol ("http:" or "https:")
+ * @param {string|null} proxyUrl - Proxy URL, null for direct
+ * @param {Object} tls - TLS options for the destination (rejectUnauthorized, minVersion, maxVersion)
+ * @returns {Object} - http.Agent or https.Agent compatible agent
+ */
+const getAgent = (protocol, proxyUrl, tls) => {
+    const key = JSON.stringify([protocol, proxyUrl, tls]);
+    if (agents.has(key)) {
+        return agents.get(key);
+    }
+
+    let agent;
+    if (protocol !== "https:") {
+        agent = proxyUrl ? new HttpProxyAgent(proxyUrl) : new http.Agent();
+    } else if (proxyUrl) {
+        agent = new HttpsProxyAgent(proxyUrl);
+        // The tunnel's TLS handshake with the destination takes its options from the
+        // request, which Node merges in from agent.options (the constructor's options
+        // only apply to the connection to the proxy)
+        Object.assign(agent.options, tls);
+    } else {
+        agent = new https.Agent(tls);
+    }
+    agents.set(key, agent);
+    return agent;
+};
+
+/**
+ * Axios options sending a call to a destination along a route
+ * @param {string} destination - Destination URL
+ * @param {Object} route - From resolveRoute
+ * @param {Object} tls - TLS options for the destination
+ * @returns {Object} - { httpAgent or httpsAgent, proxy: false }
+ */
+const routeOptions = (destination, route, tls = {}) => {
+    const { protocol } = new URL(destination);
+    return {
+        [protocol === "https:" ? "httpsAgent" : "httpAgent"]: getAgent(protocol, route.proxyUrl, tls),
+        // The agent does the proxying; stop axios applying its own (or HTTP_PROXY from the environment)
+        proxy: false,
+    };
+};
+
+/**
+ * Axios options routing a call to a destination
+ * @param {string} destination - Destination URL
+ * @param {Object} options - resolveRoute options plus { tls }
+ * @returns {Object} - { httpAgent or httpsAgent, proxy: false }
+ */
+const getAxiosOptions = (destination, options = {}) =>
+    routeOptions(destination, resolveRoute(destination, options), options.tls);
+
+/**
+ * Send a request through its route, falling back to a direct connection when the proxy
+ * cannot be reached and proxy.fallbackDirect (or options.fallbackDirect) allows it
+ * @param {Function} client - axios, or an axios instance
+ * @param {Object} requestConfig - Axios request config, including url
+ * @param {Object} options - getAxiosOptions options plus { fallbackDirect }
+ * @returns {Promise<Object>} - Axios response
+ */
+const request = async (client, requestConfig, options = {}) => {
+    const route = resolveRoute(requestConfig.url, options);
+    try {
+        return await client.request({ ...requestConfig, ...routeOptions(requestConfig.url, route, options.tls) });
+    } catch (error) {
+        const fallbackDirect =
+            options.fallbackDirect !== undefined ? options.fallbackDirect : config.proxy.fallbackDirect;
+        if (!route.proxyUrl || !fallbackDirect || !PROXY_UNREACHABLE_CODES.includes(error.code)) {
+            throw error;
+        }
+
+        logger.warn("Proxy unreachable, retrying directly", {
+            proxy: describeProxy(route.proxyUrl),
+            destination: new URL(requestConfig.url).host,
+            error: error.code,
+        });
+        const direct = { proxyUrl: null, reason: "fallback" };
+        return client.request({ ...requestConfig, ...routeOptions(requestConfig.url, direct, options.tls) });
+    }
+};
+
+/**
+ * Describe the route a destination would take, for logs and health output
+ * @param {string} destination - Destination URL
+ * @param {Object} options - resolveRoute options
+ * @returns {string} - e.g. "http://10.194.81.45:8080 (default proxy)" or "direct (NO_PROXY localhost)"
+ */
+const describeRoute = (destination, options = {}) => {
+    const route = resolveRoute(destination, options);
+    return `${describeProxy(route.proxyUrl)} (${route.reason})`;
+};
+
+module.exports = {
+    resolveRoute,
+    getAxiosOptions,
+    request,
+    describeRoute,
+};
@@ -0,0 +1,94 @@
+// outbox.js - Sandbox mode: messages the providers capture locally instead of sending
+//
+// With sms.sandbox (SMS_SANDBOX=true) every provider builds its gateway request as usual (template check,
+// encoding, hash key) and records it here in place of the HTTP call, answering as the
+// gateway would on success. QA can then read OTPs from the dev outbox routes.
+
+const crypto = require("crypto");
+const logger = require("./logger");
+const { config } = require("./config");
+
+const SANDBOX_ENABLED = config.sms.sandbox;
+// The outbox routes are unauthenticated and return plaintext OTPs, so never in production
+const ROUTES_ENABLED = SANDBOX_ENABLED && process.env.NODE_ENV !== "production";
+// Captured messages kept before the oldest are dropped
+const MAX_MESSAGES = parseInt(process.env.OUTBOX_MAX_MESSAGES || "1000");
+
+/**
+ * Captured messages, oldest first:
+ * { id, provider, to, content, templateId, hashKey, otp, type, senderId, gatewayMessageId, capturedAt }
+ */
+const messages = [];
+
+/**
+ * Record a message a provider would have sent
+ * @param {Object} capture - { provider, to, content, templateId, hashKey, otp, type, senderId }
+ * @returns {Object} - The outbox entry, with the gateway message ID to answer with
+ */
+const captureMessage = (capture) => {
+    const entry = {
+        id: crypto.randomUUID(),
+        provider: capture.provider,
+        to: Array.isArray(capture.to) ? capture.to.map(String) : String(capture.to),
+        content: capture.content || null,
+        templateId: capture.templateId || null,
+        hashKey: capture.hashKey || null,
+        otp: capture.otp || null,
+        type: capture.type || null,
+        senderId: capture.senderId || null,
+        gatewayMessageId: `sandbox${crypto.randomBytes(8).toString("hex")}`,
+        capturedAt: new Date().toISOString(),
+    };
+
+    messages.push(entry);
+    if (messages.length > MAX_MESSAGES) {
+        messages.splice(0, messages.length - MAX_MESSAGES);
+    }
+
+    logger.info("SMS captured in sandbox outbox", {
+        outboxId: entry.id,
+        provider: entry.provider,
+        mobileMasked: logger.maskSensitiveData(String(entry.to)),
+        templateId: entry.templateId,
+    });
+    return entry;
+};
+
+/**
+ * Captured messages, newest first
+ * @param {Object} filter - { to, provider, limit }
+ * @returns {Object[]}
+ */
+const listMessages = (filter = {}) => {
+    const limit = parseInt(filter.limit) > 0 ? parseInt(filter.limit) : messages.length;
+    return messages
+        .filter(
+            (entry) =>
+                (!filter.to || [].concat(entry.to).includes(String(filter.to))) &&
+                (!filter.provider || entry.provider === filter.provider)
+        )
+        .reverse()
+        .slice(0, limit);
+};
+
+/**
+ * Get a captured message
+ * @param {string} id - Outbox ID
+ * @returns {Object|null}
+ */
+const getMessage = (id) => messages.find((entry) => entry.id === id) || null;
+
+/**
+ * Empty the outbox
+ * @returns {number} - Number of messages removed
+ */
+const clearMessages = () => messages.splice(0, messages.length).length;
+
+module.exports = {
+    captureMessage,
+    listMessages,
+    getMessage,
+    clearMessages,
+    SANDBOX_ENABLED,
+    ROUTES_ENABLED,
+};
@@ -0,0 +1,142 @@
+// providers/amritsarovarProvider.js - SMS provider for the amritsarovar `sendotp` API
+
+const axios = require("axios");
+const logger = require("../logger");
+const outboundProxy = require("../outboundProxy");
+const outbox = require("../outbox");
+const { config: appConfig } = require("../config");
+
+const defaults = {
+    apiUrl: appConfig.amritsarovar.apiUrl,
+    useProxy: appConfig.amritsarovar.useProxy,
+    timeout: appConfig.amritsarovar.timeoutMs,
+    rejectUnauthorized: appConfig.amritsarovar.tlsVerify,
+    // Capture messages in the local outbox instead of calling the API
+    sandbox: outbox.SANDBOX_ENABLED,
+};
+
+/**
+ * Create the amritsarovar provider.
+ * The API only takes a mobile number and an OTP and words the SMS itself,
+ * so it can deliver OTP messages only.
+ * @param {Object} options - Overrides for the defaults above
+ * @returns {Object} - Provider { name, send, health, parseResponse }
+ */
+const createAmritsarovarProvider = (options = {}) => {
+    const config = { ...defaults, ...options };
+    const stats = { lastSuccessAt: null, lastFailureAt: null, lastError: null };
+
+    /**
+     * Turn an HTTP response from the API into a provider result
+     * @param {Object} response - Axios response
+     * @returns {Object} - { success, provider, statusCode, retryable, failover, data, message }
+     */
+    const parseResponse = (response) => {
+        const success = response.status === 200;
+        return {
+            success,
+            provider: "amritsarovar",
+            statusCode: response.status,
+            retryable: !success && [408, 429, 500, 502, 503, 504].includes(response.status),
+            failover: !success,
+            data: response.data,
+            message: success ? "OTP sent successfully" : "API returned non-success status code",
+        };
+    };
+
+    /**
+     * Send an OTP through the API
+     * @param {Object} message - { to, otp } (type, if given, must be "otp")
+     * @param {Object} overrides - Per-call config overrides (useProxy, timeout, headers, ...)
+     * @returns {Promise<Object>} - Parsed provider result; rejects on transport errors
+     */
+    const send = async (message, overrides = {}) => {
+        const callConfig = { ...config, ...overrides };
+
+        if (!message.otp || (message.type && message.type !== "otp")) {
+            const error = new Error("The amritsarovar provider can only send OTP messages");
+            error.code = "UNSUPPORTED_MESSAGE";
+            throw error;
+        }
+
+        if (callConfig.sandbox) {
+            const captured = outbox.captureMessage({
+                provider: "amritsarovar",
+                to: message.to,
+                otp: message.otp,
+                type: "otp",
+            });
+            return parseResponse({
+                status: 200,
+                data: { message: "OTP captured in sandbox outbox", outboxId: captured.id },
+            });
+        }
+
+        const axiosConfig = {
+            method: "post",
+            url: callConfig.apiUrl,
+            data: {
+                mobile_no: message.to,
+                otp: message.otp,
+            },
+            headers: {
+                "Content-Type": "application/json",
+                ...(callConfig.headers || {}),
+            },
+            timeout: callConfig.timeout,
+            maxRedirects: 0,
+            validateStatus: null,
+        };
+        const routing = {
+            useProxy: callConfig.useProxy,
+            proxyHost: callConfig.proxyHost,
+            proxyPort: callConfig.proxyPort,
+            tls: { rejectUnauthorized: callConfig.rejectUnauthorized, minVersion: "TLSv1.2" },
+        };
+
+        logger.debug("Amritsarovar request", {
+            url: callConfig.apiUrl,
+            mobileMasked: logger.maskSensitiveData(String(message.to)),
+            route: outboundProxy.describeRoute(callConfig.apiUrl, routing),
+        });
+
+        try {
+            const result = parseResponse(await outboundProxy.request(axios, axiosConfig, routing));
+            if (result.success) {
+                stats.lastSuccessAt = new Date().toISOString();
+            } else {
+                stats.lastFailureAt = new Date().toISOString();
+                stats.lastError = `HTTP ${result.statusCode}`;
+            }
+            return result;
+        } catch (error) {
+            stats.lastFailureAt = new Date().toISOString();
+            stats.lastError = error.message;
+            throw error;
+        }
+    };
+
+    /**
+     * Report configuration and recent delivery state
+     * @returns {Object} - Health summary
+     */
+    const health = () => ({
+        name: "amritsarovar",
+        endpoint: config.apiUrl,
+        configured: !!config.apiUrl,
+        proxy: outboundProxy.describeRoute(config.apiUrl, config),
+        sandbox: config.sandbox,
+        ...stats,
+    });
+
+    return {
+        name: "amritsarovar",
+        send,
+        health,
+        parseResponse,
+    };
+};
+
+module.exports = {
+    createAmritsarovarProvider,
+};
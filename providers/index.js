@@ -0,0 +1,117 @@
+// providers/index.js - Registry of SMS providers
+//
+// A provider is an object with:
+//   name                        - unique provider name
+//   send(message, overrides)    - deliver { to, content, templateId, otp }; resolves to a
+//                                 result { success, provider, statusCode, data, message }
+//                                 and rejects on transport errors
+//   health()                    - configuration and recent delivery state
+//   parseResponse(response)     - map a raw gateway HTTP response to a result
+//
+// Every registered provider's send() runs through its own circuit breaker, so
+// callers fail fast (error code CIRCUIT_OPEN) while a provider is unhealthy.
+
+const { createCircuitBreaker } = require("../circuitBreaker");
+const { config } = require("../config");
+const { TEMPLATE_ERROR_CODES } = require("../dltTemplates");
+const { createMsdgProvider } = require("./msdgProvider");
+const { createAmritsarovarProvider } = require("./amritsarovarProvider");
+
+const providers = new Map();
+
+// HTTP statuses that mean the provider itself is unhealthy (as opposed to a bad request)
+const UNHEALTHY_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Whether a resolved send result should count against the provider's breaker
+ * @param {Object} result - Provider result
+ * @returns {boolean}
+ */
+const isProviderFailure = (result) => {
+    if (!result || result.success) {
+        return false;
+    }
+    if (typeof result.retryable === "boolean") {
+        return result.retryable;
+    }
+    return UNHEALTHY_STATUS_CODES.includes(result.statusCode);
+};
+
+/**
+ * Register (or replace) a provider, wrapping its send() in a circuit breaker
+ * @param {Object} provider - Provider implementing the interface above
+ * @returns {Object} - The registered (breaker-guarded) provider
+ */
+const registerProvider = (provider) => {
+    for (const method of ["send", "health", "parseResponse"]) {
+        if (!provider || typeof provider[method] !== "function") {
+            throw new Error(`SMS provider must implement ${method}()`);
+        }
+    }
+    if (!provider.name) {
+        throw new Error("SMS provider must have a name");
+    }
+
+    const breaker = createCircuitBreaker(provider.name, {
+        isFailure: isProviderFailure,
+        // A message the provider cannot carry, content rejected locally or missing credentials say nothing
+        // about its health
+        isErrorFailure: (error) =>
+            !["UNSUPPORTED_MESSAGE", "PROVIDER_NOT_CONFIGURED"].includes(error.code) &&
+            !TEMPLATE_ERROR_CODES.includes(error.code),
+    });
+    const guarded = {
+        ...provider,
+        send: (message, overrides) => breaker.execute(() => provider.send(message, overrides)),
+        health: () => ({ ...provider.health(), circuit: breaker.getState() }),
+        breaker,
+    };
+
+    providers.set(provider.name, guarded);
+    return guarded;
+};
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - The provider
+ */
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    return provider;
+};
+
+/**
+ * Get the provider selected by configuration (sms.provider / SMS_PROVIDER), or the caller's default
+ * @param {string} defaultName - Provider to use when none is configured
+ * @returns {Object} - The provider
+ */
+const getConfiguredProvider = (defaultName) => {
+    return getProvider(config.sms.provider || defaultName);
+};
+
+/**
+ * Health of every registered provider
+ * @returns {Array<Object>}
+ */
+const getProvidersHealth = () => [...providers.values()].map((provider) => provider.health());
+
+/**
+ * Names of every registered provider
+ * @returns {string[]}
+ */
+const listProviders = () => [...providers.keys()];
+
+registerProvider(createMsdgProvider());
+registerProvider(createAmritsarovarProvider());
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    getConfiguredProvider,
+    getProvidersHealth,
+    listProviders,
+};
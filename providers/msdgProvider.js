@@ -0,0 +1,272 @@
+// providers/msdgProvider.js - SMS provider for the MSDG DLT gateway (msdgweb.mgov.gov.in)
+
+const crypto = require("crypto");
+const axios = require("axios");
+const logger = require("../logger");
+const outboundProxy = require("../outboundProxy");
+const dltTemplates = require("../dltTemplates");
+const outbox = require("../outbox");
+const { config: appConfig } = require("../config");
+const { parseMsdgBody } = require("./msdgResponseParser");
+
+const defaults = {
+    username: appConfig.msdg.username,
+    password: appConfig.msdg.password,
+    senderId: appConfig.msdg.senderId,
+    secureKey: appConfig.msdg.secureKey,
+    templateId: appConfig.msdg.templateId,
+    apiUrl: appConfig.msdg.apiUrl,
+    useProxy: appConfig.msdg.useProxy,
+    timeout: appConfig.msdg.timeoutMs,
+    // Capture messages in the local outbox instead of calling the gateway
+    sandbox: outbox.SANDBOX_ENABLED,
+};
+
+/**
+ * Gateway service types by message type.
+ * - recipientParam: form field carrying the recipient(s); bulk-capable types take a comma-separated list
+ * - encodeContent: content must be sent as HTML numeric character references
+ */
+const SERVICE_TYPES = {
+    otp: { smsservicetype: "otpmsg", recipientParam: "mobileno", multipleRecipients: false, encodeContent: false },
+    single: { smsservicetype: "singlemsg", recipientParam: "mobileno", multipleRecipients: false, encodeContent: false },
+    bulk: { smsservicetype: "bulkmsg", recipientParam: "bulkmobno", multipleRecipients: true, encodeContent: false },
+    unicode: { smsservicetype: "unicodemsg", recipientParam: "bulkmobno", multipleRecipients: true, encodeContent: true },
+};
+
+/**
+ * SHA-1 of the account password's ISO-8859-1 bytes, as the gateway expects it
+ * @param {string} password - Plain account password
+ * @returns {string} - Hex digest
+ */
+const encryptPassword = (password) => {
+    // Node has no "iso-8859-1" encoding name (it silently hashed UTF-8); "latin1" is the same charset
+    return crypto.createHash("sha1").update(String(password || ""), "latin1").digest("hex");
+};
+
+/**
+ * SHA-512 hash key over username, sender ID, content and secure key
+ * @param {Object} params - { username, senderId, content, secureKey }
+ * @returns {string} - Hex digest
+ */
+const generateHashKey = ({ username, senderId, content, secureKey }) => {
+    // Credentials are optional in sandbox mode, where the key is only recorded
+    const inputString = [username, senderId, content, secureKey].map((part) => String(part || "").trim()).join("");
+    return crypto.createHash("sha512").update(inputString).digest("hex");
+};
+
+/**
+ * Encode text for the unicode service type: every character becomes "&#<code point>;"
+ * @param {string} content - Message text (e.g. Hindi or another regional language)
+ * @returns {string} - Encoded content
+ */
+const encodeUnicodeContent = (content) => {
+    let encoded = "";
+    for (const character of content) {
+        encoded += `&#${character.codePointAt(0)};`;
+    }
+    return encoded;
+};
+
+/**
+ * Form fields for one gateway request.
+ * The content is checked against its DLT template first; the hash key covers the content
+ * exactly as sent, so unicode messages are hashed after encoding.
+ * @param {Object} message - { to (string or array for bulk types), content, templateId, type }
+ * @param {Object} config - Provider config merged with per-call overrides
+ * @returns {Object} - Form fields
+ */
+const buildRequestParams = (message, config) => {
+    const type = message.type || "otp";
+    const serviceType = SERVICE_TYPES[type];
+    if (!serviceType) {
+        const error = new Error(`The msdg provider does not support message type '${type}'`);
+        error.code = "UNSUPPORTED_MESSAGE";
+        throw error;
+    }
+
+    const recipients = Array.isArray(message.to) ? message.to : [message.to];
+    if (recipients.length > 1 && !serviceType.multipleRecipients) {
+        const error = new Error(`Message type '${type}' takes a single recipient`);
+        error.code = "UNSUPPORTED_MESSAGE";
+        throw error;
+    }
+
+    // Operators drop anything that is not the approved template text, so catch it before sending
+    const templateId = message.templateId || config.templateId;
+    dltTemplates.assertContent(templateId, message.content, { senderId: config.senderId });
+
+    const content = serviceType.encodeContent ? encodeUnicodeContent(message.content) : message.content;
+
+    return {
+        [serviceType.recipientParam]: recipients.join(","),
+        senderid: config.senderId,
+        content,
+        smsservicetype: serviceType.smsservicetype,
+        username: config.username,
+        password: encryptPassword(config.password),
+        key: generateHashKey({ ...config, content }),
+        templateid: templateId,
+    };
+};
+
+/**
+ * Whether every gateway credential is set
+ * @param {Object} config - Provider config
+ * @returns {boolean}
+ */
+const isConfigured = (config) => !!(config.username && config.password && config.secureKey && config.senderId);
+
+/**
+ * Create the MSDG provider
+ * @param {Object} options - Overrides for the defaults above
+ * @returns {Object} - Provider { name, send, health, parseResponse }
+ */
+const createMsdgProvider = (options = {}) => {
+    const config = { ...defaults, ...options };
+    const stats = { lastSuccessAt: null, lastFailureAt: null, lastError: null };
+
+    /**
+     * Turn an HTTP response from the gateway into a typed provider result.
+     * The gateway reports its own status in the body, so HTTP 200 alone is not success.
+     * @param {Object} response - Axios response
+     * @returns {Object} - { success, provider, statusCode, gatewayCode, gatewayMessageId,
+     *                       gatewayMessage, category, retryable, failover, data, message }
+     */
+    const parseResponse = (response) => {
+        if (response.status !== 200) {
+            return {
+                success: false,
+                provider: "msdg",
+                statusCode: response.status,
+                gatewayCode: null,
+                gatewayMessageId: null,
+                gatewayMessage: null,
+                category: "http",
+                retryable: [408, 429, 500, 502, 503, 504].includes(response.status),
+                failover: true,
+                data: response.data,
+                message: "API returned non-success status code",
+            };
+        }
+
+        const parsed = parseMsdgBody(response.data);
+        return {
+            provider: "msdg",
+            statusCode: response.status,
+            ...parsed,
+            data: response.data,
+            message: parsed.success
+                ? "SMS submitted successfully"
+                : `Gateway rejected the message: ${parsed.gatewayMessage || "unknown response"}`,
+        };
+    };
+
+    /**
+     * Send a message through the gateway
+     * @param {Object} message - { to, content, templateId, type } where type is one of
+     *                           SERVICE_TYPES (default "otp"); bulk and unicode take an array of numbers
+     * @param {Object} overrides - Per-call config overrides (credentials, useProxy, apiUrl, ...)
+     * @returns {Promise<Object>} - Parsed provider result; rejects on transport errors
+     */
+    const send = async (message, overrides = {}) => {
+        const callConfig = { ...config, ...overrides };
+        if (!callConfig.sandbox && !isConfigured(callConfig)) {
+            const error = new Error(
+                "The msdg provider has no gateway credentials (MSDG_USERNAME, MSDG_PASSWORD, MSDG_SECURE_KEY, MSDG_SENDER_ID)"
+            );
+            error.code = "PROVIDER_NOT_CONFIGURED";
+            throw error;
+        }
+        const params = buildRequestParams(message, callConfig);
+
+        if (callConfig.sandbox) {
+            const captured = outbox.captureMessage({
+                provider: "msdg",
+                to: message.to,
+                content: message.content,
+                templateId: params.templateid,
+                hashKey: params.key,
+                otp: message.otp,
+                type: message.type || "otp",
+                senderId: params.senderid,
+            });
+            return parseResponse({ status: 200, data: `402,MsgID = ${captured.gatewayMessageId}` });
+        }
+
+        const queryString = new URLSearchParams(params).toString();
+
+        const axiosConfig = {
+            method: "post",
+            url: callConfig.apiUrl,
+            data: queryString,
+            headers: {
+                "Content-Type": "application/x-www-form-urlencoded",
+                "Content-Length": Buffer.byteLength(queryString),
+            },
+            timeout: callConfig.timeout,
+            maxRedirects: 0,
+            validateStatus: null,
+        };
+        const routing = {
+            useProxy: callConfig.useProxy,
+            proxyHost: callConfig.proxyHost,
+            proxyPort: callConfig.proxyPort,
+            // The gateway only negotiates TLS 1.2
+            tls: { rejectUnauthorized: false, maxVersion: "TLSv1.2", minVersion: "TLSv1.2" },
+        };
+
+        logger.debug("MSDG request", {
+            url: callConfig.apiUrl,
+            mobileMasked: logger.maskSensitiveData(String(message.to)),
+            serviceType: params.smsservicetype,
+            templateId: params.templateid,
+            route: outboundProxy.describeRoute(callConfig.apiUrl, routing),
+        });
+
+        try {
+            const result = parseResponse(await outboundProxy.request(axios, axiosConfig, routing));
+            if (result.success) {
+                stats.lastSuccessAt = new Date().toISOString();
+            } else {
+                stats.lastFailureAt = new Date().toISOString();
+                stats.lastError = result.gatewayCode
+                    ? `${result.gatewayCode} ${result.gatewayMessage}`
+                    : `HTTP ${result.statusCode}`;
+            }
+            return result;
+        } catch (error) {
+            stats.lastFailureAt = new Date().toISOString();
+            stats.lastError = error.message;
+            throw error;
+        }
+    };
+
+    /**
+     * Report configuration and recent delivery state
+     * @returns {Object} - Health summary
+     */
+    const health = () => ({
+        name: "msdg",
+        endpoint: config.apiUrl,
+        configured: isConfigured(config),
+        proxy: outboundProxy.describeRoute(config.apiUrl, config),
+        sandbox: config.sandbox,
+        ...stats,
+    });
+
+    return {
+        name: "msdg",
+        send,
+        health,
+        parseResponse,
+    };
+};
+
+module.exports = {
+    createMsdgProvider,
+    encryptPassword,
+    generateHashKey,
+    encodeUnicodeContent,
+    SERVICE_TYPES,
+};
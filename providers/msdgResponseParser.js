@@ -0,0 +1,82 @@
+// providers/msdgResponseParser.js - Typed results from MSDG DLT gateway response bodies
+//
+// The gateway answers HTTP 200 for almost everything and puts its own status in the
+// text body, e.g. "402,MsgID = 150620161466003974245msdgsms" or "416,Hash is not matching".
+
+/**
+ * Known gateway codes.
+ * - category: submitted, auth, billing, sender, template, content, recipient, throttled, gateway
+ * - retryable: sending the same request again later may succeed
+ */
+const GATEWAY_CODES = {
+    401: { category: "auth", retryable: false, description: "Credentials error, invalid username or password" },
+    402: { category: "submitted", retryable: false, description: "Message submitted successfully" },
+    403: { category: "billing", retryable: false, description: "Credits not available" },
+    404: { category: "gateway", retryable: true, description: "Internal database error" },
+    405: { category: "gateway", retryable: true, description: "Internal networking error" },
+    406: { category: "recipient", retryable: false, description: "Invalid or duplicate numbers" },
+    407: { category: "gateway", retryable: true, description: "Network error on SMSC" },
+    408: { category: "gateway", retryable: true, description: "Network error on SMSC" },
+    409: { category: "submitted", retryable: false, description: "SMSC response timed out, message will be submitted" },
+    410: { category: "throttled", retryable: true, description: "Internal limit exceeded" },
+    411: { category: "sender", retryable: false, description: "Sender ID not approved" },
+    412: { category: "sender", retryable: false, description: "Sender ID not approved" },
+    413: { category: "content", retryable: false, description: "Suspected spam" },
+    414: { category: "recipient", retryable: false, description: "Rejected by the operator (DND, spam, ...)" },
+    415: { category: "auth", retryable: false, description: "Secure key not available" },
+    416: { category: "auth", retryable: false, description: "Hash does not match" },
+    418: { category: "throttled", retryable: false, description: "Daily limit exceeded" },
+    430: { category: "template", retryable: false, description: "Invalid template ID or template content mismatch" },
+};
+
+/**
+ * Fallbacks for bodies that carry no numeric code
+ */
+const TEXT_PATTERNS = [
+    { pattern: /submitted/i, code: 402 },
+    { pattern: /hash/i, code: 416 },
+    { pattern: /template/i, code: 430 },
+    { pattern: /credit/i, code: 403 },
+    { pattern: /credential|password|username/i, code: 401 },
+    { pattern: /sender\s*id/i, code: 411 },
+    { pattern: /(invalid|duplicate).*(number|mobile)/i, code: 406 },
+    { pattern: /daily limit/i, code: 418 },
+];
+
+/**
+ * Parse an MSDG response body
+ * @param {string} body - Raw text body
+ * @returns {Object} - { success, gatewayCode, gatewayMessageId, gatewayMessage, category, retryable, failover }
+ */
+const parseMsdgBody = (body) => {
+    const text = String(body === undefined || body === null ? "" : body).trim();
+
+    let gatewayCode = null;
+    const codeMatch = text.match(/^(\d{3})\b/);
+    if (codeMatch) {
+        gatewayCode = parseInt(codeMatch[1]);
+    } else {
+        const fallback = TEXT_PATTERNS.find(({ pattern }) => pattern.test(text));
+        gatewayCode = fallback ? fallback.code : null;
+    }
+
+    const idMatch = text.match(/MsgID\s*[=:]\s*([A-Za-z0-9_-]+)/i);
+    const known = gatewayCode !== null ? GATEWAY_CODES[gatewayCode] : null;
+    const category = known ? known.category : "unknown";
+
+    return {
+        success: category === "submitted",
+        gatewayCode,
+        gatewayMessageId: idMatch ? idMatch[1] : null,
+        gatewayMessage: text.replace(/^\d{3}\s*,?\s*/, "") || (known ? known.description : ""),
+        category,
+        retryable: known ? known.retryable : false,
+        // Another provider will reject a bad recipient too; anything else may go through elsewhere
+        failover: category !== "submitted" && category !== "recipient",
+    };
+};
+
+module.exports = {
+    parseMsdgBody,
+    GATEWAY_CODES,
+};
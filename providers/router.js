@@ -0,0 +1,182 @@
+// providers/router.js - Priority-ordered provider failover
+
+const logger = require("../logger");
+const { config } = require("../config");
+const messageStore = require("../messageStore");
+const { TEMPLATE_ERROR_CODES } = require("../dltTemplates");
+const { getProvider, listProviders } = require("./index");
+
+// Network-level error codes that mean the gateway was never reached or never answered
+const TRANSPORT_ERROR_CODES = [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ECONNABORTED",
+    "ETIMEDOUT",
+    "ENOTFOUND",
+    "EAI_AGAIN",
+    "EHOSTUNREACH",
+    "ENETUNREACH",
+    "EPIPE",
+    "ERR_SOCKET_CONNECTION_TIMEOUT",
+];
+
+// HTTP statuses that say "try again / somewhere else" rather than "this request is wrong"
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Providers in the order they should be tried.
+ * SMS_PROVIDER_PRIORITY (comma-separated) wins; otherwise SMS_PROVIDER or the
+ * caller's preferred provider comes first, followed by every other registered one.
+ * @param {string} preferred - Provider to try first when nothing is configured
+ * @returns {string[]} - Provider names
+ */
+const getProviderOrder = (preferred) => {
+    if (config.sms.providerPriority && config.sms.providerPriority.length) {
+        return config.sms.providerPriority;
+    }
+
+    const first = config.sms.provider || preferred;
+    return [first, ...listProviders().filter((name) => name !== first)];
+};
+
+/**
+ * Decide whether a failed attempt should move on to the next provider,
+ * and whether repeating it later could succeed
+ * @param {Object} failure - { error } for a rejected send, or { result } for a failed result
+ * @returns {Object} - { failover, retryable, category }
+ */
+const classifyFailure = ({ error, result }) => {
+    if (error) {
+        if (error.code === "UNSUPPORTED_MESSAGE") {
+            return { failover: true, retryable: false, category: "unsupported" };
+        }
+        if (TEMPLATE_ERROR_CODES.includes(error.code)) {
+            // Rejected locally; a provider that words the message itself may still deliver it
+            return { failover: true, retryable: false, category: "template" };
+        }
+        if (error.code === "CIRCUIT_OPEN") {
+            return { failover: true, retryable: true, category: "circuit_open" };
+        }
+        if (TRANSPORT_ERROR_CODES.includes(error.code) || (error.request && !error.response)) {
+            return { failover: true, retryable: true, category: "transport" };
+        }
+        return { failover: true, retryable: false, category: "exception" };
+    }
+
+    // A provider that classifies its own results decides for itself
+    const retryable = typeof result.retryable === "boolean"
+        ? result.retryable
+        : RETRYABLE_STATUS_CODES.includes(result.statusCode);
+
+    return {
+        failover: typeof result.failover === "boolean" ? result.failover : retryable,
+        retryable,
+        category: result.category || "gateway",
+    };
+};
+
+/**
+ * Send a message, failing over between providers in priority order
+ * @param {Object} message - { to, content, templateId, otp }
+ * @param {Object} options - Routing options
+ * @param {string[]} options.providers - Explicit provider order
+ * @param {string} options.preferred - Provider to try first when nothing is configured
+ * @param {Object} options.overrides - Config overrides passed to every provider
+ * @param {string} options.messageId - Existing message record to track the send on; its owner
+ *                                       decides when it has failed (it may still retry)
+ * @param {Object} options.meta - Caller context kept on a new message record (requestId, purpose, ...)
+ * @returns {Promise<Object>} - { success, messageId, provider, result, attempts, retryable }
+ */
+const sendWithFailover = async (message, options = {}) => {
+    const order = options.providers || getProviderOrder(options.preferred);
+    const attempts = [];
+    let lastResult = null;
+
+    // Every send gets a message record so delivery reports can be matched back to it
+    const messageId = options.messageId || messageStore.createMessage({ to: message.to, meta: options.meta }).id;
+
+    for (const name of order) {
+        const provider = getProvider(name);
+        const attemptStart = Date.now();
+
+        try {
+            const result = await provider.send(message, options.overrides || {});
+            lastResult = result;
+
+            if (result.success) {
+                attempts.push({
+                    provider: name,
+                    success: true,
+                    statusCode: result.statusCode,
+                    gatewayCode: result.gatewayCode,
+                    gatewayMessageId: result.gatewayMessageId,
+                    durationMs: Date.now() - attemptStart,
+                });
+                messageStore.markSubmitted(messageId, {
+                    provider: name,
+                    gatewayMessageId: result.gatewayMessageId,
+                });
+                return { success: true, messageId, provider: name, result, attempts, retryable: false };
+            }
+
+            const classification = classifyFailure({ result });
+            attempts.push({
+                provider: name,
+                success: false,
+                statusCode: result.statusCode,
+                gatewayCode: result.gatewayCode,
+                error: result.message,
+                category: classification.category,
+                retryable: classification.retryable,
+                durationMs: Date.now() - attemptStart,
+            });
+
+            if (!classification.failover) {
+                break;
+            }
+        } catch (error) {
+            const classification = classifyFailure({ error });
+            attempts.push({
+                provider: name,
+                success: false,
+                error: error.message,
+                code: error.code,
+                category: classification.category,
+                retryable: classification.retryable,
+                durationMs: Date.now() - attemptStart,
+            });
+
+            if (!classification.failover) {
+                break;
+            }
+        }
+
+        logger.warn("SMS provider attempt failed", {
+            provider: name,
+            attempt: attempts[attempts.length - 1],
+        });
+    }
+
+    logger.error("All SMS providers failed", { attempts });
+    if (!options.messageId) {
+        messageStore.markFailed(messageId, {
+            reason: attempts.length ? attempts[attempts.length - 1].error : "No provider attempted",
+            provider: attempts.length ? attempts[attempts.length - 1].provider : null,
+        });
+    }
+    return {
+        success: false,
+        messageId,
+        provider: null,
+        result: lastResult,
+        attempts,
+        // Worth repeating later only if at least one provider failed for a transient reason
+        retryable: attempts.some((attempt) => attempt.retryable),
+    };
+};
+
+module.exports = {
+    sendWithFailover,
+    getProviderOrder,
+    classifyFailure,
+};
@@ -0,0 +1,235 @@
+// rateLimiter.js - Send-side cooldown and hourly/daily caps for OTP and SMS sends
+
+const logger = require("./logger");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Limits, overridable through the environment
+const limits = {
+    cooldownMs: parseInt(process.env.SEND_COOLDOWN_MS || "60000"),
+    perNumber: {
+        hourly: parseInt(process.env.SEND_HOURLY_LIMIT_PER_NUMBER || "5"),
+        daily: parseInt(process.env.SEND_DAILY_LIMIT_PER_NUMBER || "10"),
+    },
+    perIp: {
+        hourly: parseInt(process.env.SEND_HOURLY_LIMIT_PER_IP || "20"),
+        daily: parseInt(process.env.SEND_DAILY_LIMIT_PER_IP || "100"),
+    },
+};
+
+/**
+ * Send timestamps (last 24 hours) keyed by `number:<mobile>` or `ip:<address>`
+ */
+const sendHistory = new Map();
+
+/**
+ * Get the send timestamps of a key that are still inside the daily window
+ * @param {string} key - History key
+ * @returns {number[]} - Timestamps, oldest first
+ */
+const getHistory = (key) => {
+    const now = Date.now();
+    const history = (sendHistory.get(key) || []).filter((time) => now - time < DAY_MS);
+
+    if (history.length === 0) {
+        sendHistory.delete(key);
+    } else {
+        sendHistory.set(key, history);
+    }
+
+    return history;
+};
+
+/**
+ * Check a key's history against hourly and daily caps
+ * @param {string} key - History key
+ * @param {Object} caps - { hourly, daily }
+ * @param {string} scope - "number" or "ip", used in the reason code
+ * @returns {Object|null} - Denial { reason, retryAfterMs } or null if allowed
+ */
+const checkCaps = (key, caps, scope) => {
+    const now = Date.now();
+    const history = getHistory(key);
+    const lastHour = history.filter((time) => now - time < HOUR_MS);
+
+    if (lastHour.length >= caps.hourly) {
+        return {
+            reason: `HOURLY_LIMIT_PER_${scope.toUpperCase()}`,
+            retryAfterMs: lastHour[lastHour.length - caps.hourly] + HOUR_MS - now,
+        };
+    }
+
+    if (history.length >= caps.daily) {
+        return {
+            reason: `DAILY_LIMIT_PER_${scope.toUpperCase()}`,
+            retryAfterMs: history[history.length - caps.daily] + DAY_MS - now,
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a send is allowed without recording it
+ * @param {Object} params - Send identity
+ * @param {string} params.mobileNumber - Recipient mobile number (optional)
+ * @param {string} params.ip - Client IP address (optional)
+ * @param {boolean} params.skipCooldown - Skip the resend cooldown (retries of the same send)
+ * @returns {Object} - { allowed, reason, retryAfterMs }
+ */
+const checkSend = ({ mobileNumber, ip, skipCooldown = false } = {}) => {
+    const denials = [];
+
+    if (mobileNumber) {
+        const numberKey = `number:${mobileNumber}`;
+        const history = getHistory(numberKey);
+        const lastSend = history[history.length - 1];
+
+        if (!skipCooldown && lastSend && Date.now() - lastSend < limits.cooldownMs) {
+            denials.push({
+                reason: "RESEND_COOLDOWN",
+                retryAfterMs: lastSend + limits.cooldownMs - Date.now(),
+            });
+        }
+
+        denials.push(checkCaps(numberKey, limits.perNumber, "number"));
+    }
+
+    if (ip) {
+        denials.push(checkCaps(`ip:${ip}`, limits.perIp, "ip"));
+    }
+
+    // Report the denial the client has to wait longest for
+    const denial = denials
+        .filter(Boolean)
+        .sort((a, b) => b.retryAfterMs - a.retryAfterMs)[0];
+
+    if (denial) {
+        return { allowed: false, ...denial };
+    }
+
+    return { allowed: true, reason: null, retryAfterMs: 0 };
+};
+
+/**
+ * Record a send against the number and IP histories
+ * @param {Object} params - { mobileNumber, ip }
+ * @returns {number} - The recorded timestamp, to release the send with
+ */
+const recordSend = ({ mobileNumber, ip } = {}) => {
+    const now = Date.now();
+
+    if (mobileNumber) {
+        sendHistory.set(`number:${mobileNumber}`, [...getHistory(`number:${mobileNumber}`), now]);
+    }
+    if (ip) {
+        sendHistory.set(`ip:${ip}`, [...getHistory(`ip:${ip}`), now]);
+    }
+    return now;
+};
+
+/**
+ * Take back a recorded send that never went out, so it neither counts nor starts the cooldown
+ * @param {Object} params - { mobileNumber, ip }
+ * @param {number} recordedAt - Timestamp returned by recordSend
+ */
+const releaseSend = ({ mobileNumber, ip } = {}, recordedAt) => {
+    const keys = [mobileNumber && `number:${mobileNumber}`, ip && `ip:${ip}`].filter(Boolean);
+
+    for (const key of keys) {
+        const history = getHistory(key);
+        const index = history.lastIndexOf(recordedAt);
+        if (index !== -1) {
+            history.splice(index, 1);
+        }
+        if (history.length === 0) {
+            sendHistory.delete(key);
+        }
+    }
+};
+
+/**
+ * Check a send and record it if allowed
+ * @param {Object} params - See checkSend
+ * @returns {Object} - { allowed, reason, retryAfterMs, recordedAt }
+ */
+const consumeSend = (params = {}) => {
+    const result = checkSend(params);
+
+    if (result.allowed) {
+        result.recordedAt = recordSend(params);
+    } else {
+        logger.warn("Send rejected by rate limiter", {
+            reason: result.reason,
+            retryAfterMs: result.retryAfterMs,
+            mobileMasked: params.mobileNumber
+                ? logger.maskSensitiveData(String(params.mobileNumber))
+                : undefined,
+            ip: params.ip,
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Build an error describing a rate-limit denial
+ * @param {Object} result - Denied result from checkSend/consumeSend
+ * @returns {Error} - Error with code RATE_LIMITED, reason and retryAfterMs
+ */
+const createRateLimitError = (result) => {
+    const error = new Error(`Send rate limit exceeded: ${result.reason}`);
+    error.code = "RATE_LIMITED";
+    error.reason = result.reason;
+    error.retryAfterMs = result.retryAfterMs;
+    return error;
+};
+
+/**
+ * Express middleware applying the send limits to a route.
+ * The send is recorded up front, so concurrent requests cannot slip past the limits, and
+ * released again when the route answers with a client error: a request rejected for bad
+ * input sent nothing and must not use up a slot or start the cooldown.
+ * @param {Object} options - Middleware options
+ * @param {Function} options.getMobileNumber - (req) => recipient mobile number
+ * @returns {Function} - Express middleware
+ */
+const sendRateLimit = (options = {}) => {
+    const getMobileNumber = options.getMobileNumber || (() => null);
+
+    return (req, res, next) => {
+        const params = {
+            mobileNumber: getMobileNumber(req),
+            ip: req.ip,
+        };
+        const result = consumeSend(params);
+
+        if (!result.allowed) {
+            res.set("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+            return res.status(429).json({
+                success: false,
+                message: "Too many OTP requests, please try again later",
+                reason: result.reason,
+                retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000),
+            });
+        }
+
+        res.on("finish", () => {
+            if (res.statusCode >= 400 && res.statusCode < 500) {
+                releaseSend(params, result.recordedAt);
+            }
+        });
+        next();
+    };
+};
+
+module.exports = {
+    checkSend,
+    recordSend,
+    releaseSend,
+    consumeSend,
+    createRateLimitError,
+    sendRateLimit,
+    limits,
+};
@@ -0,0 +1,515 @@
+// scheduler.js - SMS scheduled for a future time, persisted to disk and dispatched when due
+//
+// Jobs are kept in a JSON file so they survive a restart, and read back on first use. A due
+// job is handed to the message queue (messageQueue.js), which sends and retries it off the
+// timer and keeps it across restarts; the job is "sending" until the queue settles it. A job
+// whose time passed while the server was down is sent late if still within
+// SCHEDULER_MAX_LATENESS_MS, and marked missed otherwise.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+const dltTemplates = require("./dltTemplates");
+const smsEncoding = require("./smsEncoding");
+const { normalizeMobileNumber } = require("./mobileNumber");
+const { sendSms } = require("./smsService");
+const messageQueue = require("./messageQueue");
+
+const STORE_FILE = process.env.SCHEDULER_STORE_FILE || path.join(process.cwd(), "data", "scheduled-messages.json");
+// How often due jobs are looked for
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_MS || "5000");
+// How late a job may still be sent (default 1 hour)
+const MAX_LATENESS_MS = parseInt(process.env.SCHEDULER_MAX_LATENESS_MS || "3600000");
+// How far ahead a job may be scheduled (default 90 days)
+const MAX_AHEAD_MS = parseInt(process.env.SCHEDULER_MAX_AHEAD_DAYS || "90") * 24 * 60 * 60 * 1000;
+// How long finished jobs are kept (default 30 days)
+const RETENTION_MS = parseInt(process.env.SCHEDULER_RETENTION_MS || "2592000000");
+// Time zone for sendAt values given without an offset
+const DEFAULT_TIME_ZONE = process.env.SCHEDULER_DEFAULT_TIME_ZONE || "Asia/Kolkata";
+
+const JOB_STATES = {
+    SCHEDULED: "scheduled",
+    SENDING: "sending",
+    SENT: "sent",
+    FAILED: "failed",
+    CANCELLED: "cancelled",
+    MISSED: "missed",
+};
+
+// States a job never leaves
+const FINAL_STATES = [JOB_STATES.SENT, JOB_STATES.FAILED, JOB_STATES.CANCELLED, JOB_STATES.MISSED];
+
+/**
+ * Jobs keyed by job ID
+ */
+const jobs = new Map();
+
+let loaded = false;
+let timer = null;
+
+const scheduleError = (message) => {
+    const error = new Error(message);
+    error.code = "INVALID_SCHEDULE";
+    return error;
+};
+
+/**
+ * Check that a time zone name is a valid IANA zone
+ * @param {string} timeZone - e.g. "Asia/Kolkata"
+ * @returns {string} - The time zone
+ * @throws {Error} - INVALID_SCHEDULE if it is unknown
+ */
+const validateTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return timeZone;
+    } catch (error) {
+        throw scheduleError(`Unknown time zone: ${timeZone}`);
+    }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+const wallClock = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    }).formatToParts(date);
+
+    return Object.fromEntries(
+        parts.filter(({ type }) => type !== "literal").map(({ type, value }) => [type, parseInt(value)])
+    );
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+const zoneOffsetMs = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = wallClock(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Resolve a requested send time to an instant
+ * @param {string|number} sendAt - ISO timestamp with an offset ("2026-10-20T09:00:00+05:30"),
+ *                                 local time without one ("2026-10-20T09:00") read in timeZone,
+ *                                 or epoch milliseconds
+ * @param {string} timeZone - IANA time zone for local times
+ * @returns {Date}
+ * @throws {Error} - INVALID_SCHEDULE if the time cannot be read
+ */
+const parseSendAt = (sendAt, timeZone) => {
+    if (typeof sendAt === "number") {
+        return new Date(sendAt);
+    }
+
+    const text = String(sendAt || "").trim();
+    const local = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+
+    if (local) {
+        const [, year, month, day, hour, minute, second = "0"] = local;
+        const wall = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+        // The offset can differ either side of a DST change, so settle it from the first guess
+        const firstGuess = wall - zoneOffsetMs(new Date(wall), timeZone);
+        return new Date(wall - zoneOffsetMs(new Date(firstGuess), timeZone));
+    }
+
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        const date = new Date(text);
+        if (!isNaN(date.getTime())) {
+            return date;
+        }
+    }
+
+    throw scheduleError(`sendAt must be an ISO timestamp, a local "YYYY-MM-DDTHH:mm" time or epoch milliseconds`);
+};
+
+/**
+ * Check a send time is in the schedulable window
+ * @param {Date} date - Requested send time
+ */
+const assertSchedulable = (date) => {
+    const now = Date.now();
+    if (isNaN(date.getTime())) {
+        throw scheduleError("sendAt is not a valid time");
+    }
+    if (date.getTime() <= now) {
+        throw scheduleError("sendAt must be in the future");
+    }
+    if (date.getTime() - now > MAX_AHEAD_MS) {
+        throw scheduleError(`sendAt can be at most ${MAX_AHEAD_MS / 86400000} days ahead`);
+    }
+};
+
+/**
+ * Write every job to the store file atomically: the temporary file is flushed to disk
+ * before it replaces the store, so a crash leaves either the old or the new file
+ */
+const persist = () => {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const temporaryFile = `${STORE_FILE}.tmp`;
+    const fd = fs.openSync(temporaryFile, "w");
+    try {
+        fs.writeFileSync(fd, JSON.stringify([...jobs.values()], null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(temporaryFile, STORE_FILE);
+};
+
+/**
+ * Read the store file. A file that cannot be read as a job list is moved aside
+ * (kept for inspection) and the scheduler starts empty rather than failing startup.
+ * @returns {Object[]} - Stored jobs
+ */
+const readStore = () => {
+    try {
+        const stored = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+        if (!Array.isArray(stored)) {
+            throw new Error("expected a list of jobs");
+        }
+        return stored;
+    } catch (error) {
+        const corruptFile = `${STORE_FILE}.corrupt-${Date.now()}`;
+        fs.renameSync(STORE_FILE, corruptFile);
+        logger.error("Scheduler store file is unreadable, starting empty", {
+            error: error.message,
+            movedTo: corruptFile,
+        });
+        return [];
+    }
+};
+
+/**
+ * Read jobs back from the store file, once
+ */
+const load = () => {
+    if (loaded) {
+        return;
+    }
+    loaded = true;
+
+    if (!fs.existsSync(STORE_FILE)) {
+        return;
+    }
+
+    const stored = readStore();
+    for (const job of stored) {
+        if (job.status === JOB_STATES.SENDING) {
+            // The queue keeps the send across the restart; settle jobs it finished meanwhile
+            const queued = job.messageId ? messageQueue.getJob(job.messageId) : null;
+            if (!queued) {
+                logger.warn("Re-queueing scheduled message interrupted by a restart", { jobId: job.id });
+                job.status = JOB_STATES.SCHEDULED;
+            } else if (queued.status === messageQueue.JOB_STATES.COMPLETED) {
+                job.status = JOB_STATES.SENT;
+            } else if (queued.status === messageQueue.JOB_STATES.FAILED) {
+                job.status = JOB_STATES.FAILED;
+                job.error = queued.lastError;
+            }
+        }
+        jobs.set(job.id, job);
+    }
+    logger.info(`Loaded ${stored.length} scheduled messages from ${STORE_FILE}`);
+};
+
+/**
+ * Job view for API clients
+ * @param {Object} job - The job
+ * @returns {Object} - The job with the recipient masked and sendAt in its own time zone
+ */
+const toView = (job) => ({
+    id: job.id,
+    to: logger.maskSensitiveData(job.to, { showFirst: 2, showLast: 2 }),
+    templateId: job.templateId,
+    type: job.type,
+    status: job.status,
+    sendAt: job.sendAt,
+    // sv-SE formats as "YYYY-MM-DD HH:mm:ss"
+    sendAtLocal: new Date(job.sendAt).toLocaleString("sv-SE", { timeZone: job.timeZone }),
+    timeZone: job.timeZone,
+    analysis: job.analysis,
+    messageId: job.messageId,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    sentAt: job.sentAt,
+});
+
+/**
+ * Update a job and save the store
+ * @param {Object} job - The job
+ * @param {Object} changes - Fields to change
+ */
+const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist();
+};
+
+/**
+ * Schedule a templated SMS
+ * @param {Object} input - Job definition
+ * @param {string} input.to - Recipient mobile number
+ * @param {string} input.templateId - Registered DLT template
+ * @param {Array|Object} input.variables - Template variables
+ * @param {string} input.type - Message type (detected when omitted)
+ * @param {string|number} input.sendAt - When to send (see parseSendAt)
+ * @param {string} input.timeZone - IANA time zone (default SCHEDULER_DEFAULT_TIME_ZONE)
+ * @returns {Object} - Job view
+ * @throws {Error} - INVALID_SCHEDULE, or the template's validation error
+ */
+const scheduleMessage = (input = {}) => {
+    load();
+    const to = normalizeMobileNumber(input.to);
+    if (!to) {
+        throw scheduleError("A valid recipient mobile number is required");
+    }
+
+    const timeZone = validateTimeZone(input.timeZone || DEFAULT_TIME_ZONE);
+    const sendAt = parseSendAt(input.sendAt, timeZone);
+    assertSchedulable(sendAt);
+
+    // Render now so a bad template or variable is reported to the caller, not at send time
+    const content = dltTemplates.renderTemplate(input.templateId, input.variables || []);
+    const analysis = smsEncoding.assertWithinSegmentLimit(content);
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        to,
+        templateId: String(input.templateId),
+        content,
+        type: input.type || undefined,
+        status: JOB_STATES.SCHEDULED,
+        sendAt: sendAt.toISOString(),
+        timeZone,
+        analysis: smsEncoding.summarize(analysis),
+        messageId: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null,
+    };
+
+    jobs.set(job.id, job);
+    persist();
+    logger.info("SMS scheduled", { jobId: job.id, sendAt: job.sendAt, timeZone });
+    return toView(job);
+};
+
+/**
+ * Get a job
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job view, or null if unknown
+ */
+const getScheduledMessage = (id) => {
+    load();
+    const job = jobs.get(id);
+    return job ? toView(job) : null;
+};
+
+/**
+ * List jobs, soonest first
+ * @param {Object} filter - { status }
+ * @returns {Object[]} - Job views
+ */
+const listScheduledMessages = (filter = {}) => {
+    load();
+    return [...jobs.values()]
+        .filter((job) => !filter.status || job.status === filter.status)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+        .map(toView);
+};
+
+/**
+ * Look up a job that can still be changed
+ * @param {string} id - Job ID
+ * @returns {Object|null} - The job, or null if unknown
+ * @throws {Error} - NOT_RESCHEDULABLE once it is sending or finished
+ */
+const getPendingJob = (id) => {
+    load();
+    const job = jobs.get(id);
+    if (job && job.status !== JOB_STATES.SCHEDULED) {
+        const error = new Error(`Scheduled message is already ${job.status}`);
+        error.code = "NOT_RESCHEDULABLE";
+        throw error;
+    }
+    return job || null;
+};
+
+/**
+ * Move a job to a new send time
+ * @param {string} id - Job ID
+ * @param {Object} input - { sendAt, timeZone } (timeZone defaults to the job's)
+ * @returns {Object|null} - Job view, or null if unknown
+ */
+const rescheduleMessage = (id, input = {}) => {
+    const job = getPendingJob(id);
+    if (!job) {
+        return null;
+    }
+
+    const timeZone = validateTimeZone(input.timeZone || job.timeZone);
+    const sendAt = parseSendAt(input.sendAt, timeZone);
+    assertSchedulable(sendAt);
+
+    update(job, { sendAt: sendAt.toISOString(), timeZone });
+    logger.info("SMS rescheduled", { jobId: id, sendAt: job.sendAt, timeZone });
+    return toView(job);
+};
+
+/**
+ * Cancel a job that has not been sent
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job view, or null if unknown
+ */
+const cancelScheduledMessage = (id) => {
+    const job = getPendingJob(id);
+    if (!job) {
+        return null;
+    }
+
+    update(job, { status: JOB_STATES.CANCELLED });
+    logger.info("Scheduled SMS cancelled", { jobId: id });
+    return toView(job);
+};
+
+/**
+ * Queue worker for scheduled messages: one send attempt, settling the scheduled job once the
+ * queue will not try again
+ * @param {Object} payload - { scheduledMessageId }
+ * @param {Object} queueJob - The queue job
+ * @returns {Promise<Object>} - { success, retryable, error, output }
+ */
+const sendScheduled = async (payload, queueJob) => {
+    load();
+    const job = jobs.get(payload.scheduledMessageId);
+    if (!job || job.status !== JOB_STATES.SENDING) {
+        return { success: false, retryable: false, error: "Scheduled message is no longer pending" };
+    }
+
+    const result = await sendSms(job.to, job.content, {
+        templateId: job.templateId,
+        type: job.type,
+        messageId: queueJob.id,
+        meta: { scheduledMessageId: job.id },
+    });
+
+    if (result.success || !result.retryable || queueJob.attempts >= queueJob.maxAttempts) {
+        update(job, {
+            status: result.success ? JOB_STATES.SENT : JOB_STATES.FAILED,
+            error: result.success ? null : result.message,
+            sentAt: new Date().toISOString(),
+        });
+        logger.info("Scheduled SMS dispatched", { jobId: job.id, status: job.status, messageId: job.messageId });
+    }
+
+    return {
+        success: result.success,
+        retryable: result.retryable,
+        error: result.success ? null : result.message,
+        output: { provider: result.provider || null, gatewayMessageId: result.gatewayMessageId || null },
+    };
+};
+
+messageQueue.registerHandler("scheduled-sms", sendScheduled);
+
+/**
+ * Hand every due job to the message queue and drop old finished ones.
+ * Nothing is sent here, so the timer never waits on a gateway; the store is written once.
+ */
+const tick = () => {
+    load();
+    const now = Date.now();
+    let changed = false;
+
+    const due = [...jobs.values()]
+        .filter((job) => job.status === JOB_STATES.SCHEDULED && new Date(job.sendAt).getTime() <= now)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+    for (const job of due) {
+        const updatedAt = new Date().toISOString();
+        if (now - new Date(job.sendAt).getTime() > MAX_LATENESS_MS) {
+            Object.assign(job, {
+                status: JOB_STATES.MISSED,
+                error: "Send time passed while the scheduler was not running",
+                updatedAt,
+            });
+            logger.warn("Scheduled SMS missed", { jobId: job.id, sendAt: job.sendAt });
+        } else {
+            const queued = messageQueue.enqueue(
+                "scheduled-sms",
+                { scheduledMessageId: job.id },
+                { to: job.to, meta: { scheduledMessageId: job.id } }
+            );
+            Object.assign(job, { status: JOB_STATES.SENDING, messageId: queued.id, updatedAt });
+        }
+        changed = true;
+    }
+
+    for (const [id, job] of jobs) {
+        if (FINAL_STATES.includes(job.status) && now - new Date(job.updatedAt).getTime() >= RETENTION_MS) {
+            jobs.delete(id);
+            changed = true;
+        }
+    }
+    if (changed) {
+        persist();
+    }
+};
+
+/**
+ * Load persisted jobs and start dispatching
+ */
+const start = () => {
+    if (timer) {
+        return;
+    }
+    load();
+    timer = setInterval(() => {
+        try {
+            tick();
+        } catch (error) {
+            logger.error("Scheduler tick failed", { error: error.message });
+        }
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+};
+
+/**
+ * Stop dispatching
+ */
+const stop = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    scheduleMessage,
+    getScheduledMessage,
+    listScheduledMessages,
+    rescheduleMessage,
+    cancelScheduledMessage,
+    parseSendAt,
+    start,
+    stop,
+    tick,
+    JOB_STATES,
+};
@@ -0,0 +1,296 @@
+// secrets.js - Encrypted secrets file for gateway credentials and other secret settings
+//
+// Usage:
+//   node secrets.js list                  names of the stored secrets and when each was set
+//   node secrets.js set <name> [value]    store a secret (value read from stdin when omitted)
+//   node secrets.js unset <name>          remove a secret
+//   node secrets.js rotate                re-encrypt the file under a new master key
+//   node secrets.js generate-key          print a random master key
+//
+// Names are config settings marked secret (e.g. msdg.password, msdg.secureKey); config.js
+// reads them from this file, above config/<NODE_ENV>.json and below environment variables.
+// The file (SECRETS_FILE, default config/secrets.<NODE_ENV>.enc) is AES-256-GCM encrypted
+// with a key derived (scrypt) from the master key in SECRETS_MASTER_KEY or the file named by
+// SECRETS_MASTER_KEY_FILE. rotate takes the new key from SECRETS_NEW_MASTER_KEY or
+// SECRETS_NEW_MASTER_KEY_FILE; switch the master key over once it succeeds.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SCHEMA } = require("./configSchema");
+
+const FORMAT_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+const MIN_MASTER_KEY_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Create an error with a code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+const secretsError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Path of the secrets file for an environment
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {string}
+ */
+const getSecretsFile = (env = process.env) =>
+    env.SECRETS_FILE || path.join(__dirname, "config", `secrets.${env.NODE_ENV || "development"}.enc`);
+
+/**
+ * Read a master key from a variable, or from the file another variable names
+ * @param {Object} env - Environment variables
+ * @param {string} name - Variable holding the key; `${name}_FILE` names a key file
+ * @returns {string|null} - The key, or null when neither is set
+ * @throws {Error} - SECRETS_KEY_INVALID for a short key or unreadable key file
+ */
+const readMasterKey = (env, name) => {
+    let key = env[name];
+    if (!key && env[`${name}_FILE`]) {
+        try {
+            key = fs.readFileSync(env[`${name}_FILE`], "utf8");
+        } catch (error) {
+            throw secretsError(`Cannot read ${name}_FILE: ${error.message}`, "SECRETS_KEY_INVALID");
+        }
+    }
+    if (!key || !key.trim()) {
+        return null;
+    }
+    if (key.trim().length < MIN_MASTER_KEY_LENGTH) {
+        throw secretsError(`${name} must be at least ${MIN_MASTER_KEY_LENGTH} characters`, "SECRETS_KEY_INVALID");
+    }
+    return key.trim();
+};
+
+/**
+ * Derive the file key from the master key
+ * @param {string} masterKey - Master key
+ * @param {Buffer} salt - The file's salt
+ * @returns {Buffer} - 32-byte key; zero it once used
+ */
+const deriveKey = (masterKey, salt) => crypto.scryptSync(masterKey, salt, 32, SCRYPT_PARAMS);
+
+/**
+ * Header fields bound to the ciphertext, so they cannot be swapped without failing the tag check
+ * @param {Object} file - Parsed secrets file
+ * @returns {Buffer}
+ */
+const additionalData = (file) => Buffer.from(`${file.version}:${file.cipher}:${file.salt}`);
+
+/**
+ * Encrypt the secrets into the file format
+ * @param {Object} secrets - { name: { value, updatedAt } }
+ * @param {string} masterKey - Master key
+ * @returns {Object} - { version, cipher, salt, iv, tag, data } with base64 fields
+ */
+const encrypt = (secrets, masterKey) => {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const file = { version: FORMAT_VERSION, cipher: CIPHER, salt: salt.toString("base64") };
+
+    const key = deriveKey(masterKey, salt);
+    const plaintext = Buffer.from(JSON.stringify(secrets));
+    try {
+        const cipher = crypto.createCipheriv(CIPHER, key, iv);
+        cipher.setAAD(additionalData(file));
+        const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return {
+            ...file,
+            iv: iv.toString("base64"),
+            tag: cipher.getAuthTag().toString("base64"),
+            data: data.toString("base64"),
+        };
+    } finally {
+        key.fill(0);
+        plaintext.fill(0);
+    }
+};
+
+/**
+ * Decrypt a secrets file
+ * @param {Object} file - Parsed secrets file
+ * @param {string} masterKey - Master key
+ * @returns {Object} - { name: { value, updatedAt } }
+ * @throws {Error} - SECRETS_FILE_INVALID or SECRETS_DECRYPT_FAILED
+ */
+const decrypt = (file, masterKey) => {
+    if (!file || file.version !== FORMAT_VERSION || file.cipher !== CIPHER) {
+        throw secretsError("Unsupported secrets file format", "SECRETS_FILE_INVALID");
+    }
+
+    const key = deriveKey(masterKey, Buffer.from(file.salt, "base64"));
+    let plaintext = null;
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(file.iv, "base64"));
+        decipher.setAAD(additionalData(file));
+        decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+        plaintext = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+        return JSON.parse(plaintext.toString("utf8"));
+    } catch (error) {
+        throw secretsError(
+            "Secrets file could not be decrypted (wrong master key, or the file was modified)",
+            "SECRETS_DECRYPT_FAILED"
+        );
+    } finally {
+        key.fill(0);
+        if (plaintext) {
+            plaintext.fill(0);
+        }
+    }
+};
+
+/**
+ * Read and decrypt the secrets file
+ * @param {Object} options - { file, masterKey, env } (file and key default from env, itself process.env)
+ * @returns {Object|null} - { name: { value, updatedAt } }, or null when the file does not exist
+ * @throws {Error} - SECRETS_KEY_MISSING when the file exists but no master key is set, or a decrypt error
+ */
+const loadSecrets = (options = {}) => {
+    const env = options.env || process.env;
+    const file = options.file || getSecretsFile(env);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const masterKey = options.masterKey || readMasterKey(env, "SECRETS_MASTER_KEY");
+    if (!masterKey) {
+        throw secretsError(
+            `${file} exists but neither SECRETS_MASTER_KEY nor SECRETS_MASTER_KEY_FILE is set`,
+            "SECRETS_KEY_MISSING"
+        );
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw secretsError(`${file} is not a valid secrets file: ${error.message}`, "SECRETS_FILE_INVALID");
+    }
+    return decrypt(parsed, masterKey);
+};
+
+/**
+ * Encrypt and write the secrets file (atomically, via a temporary file, readable by the owner only)
+ * @param {Object} secrets - { name: { value, updatedAt } }
+ * @param {Object} options - { file, masterKey }
+ */
+const saveSecrets = (secrets, options) => {
+    fs.mkdirSync(path.dirname(options.file), { recursive: true });
+    const temporaryFile = `${options.file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(encrypt(secrets, options.masterKey), null, 2), { mode: 0o600 });
+    fs.renameSync(temporaryFile, options.file);
+};
+
+/**
+ * Read a secret value from stdin (trailing newline removed)
+ * @returns {string}
+ */
+const readStdin = () => {
+    if (process.stdin.isTTY) {
+        console.error("Enter the value, then press Ctrl-D:");
+    }
+    return fs.readFileSync(0, "utf8").replace(/\r?\n$/, "");
+};
+
+// Run the CLI
+const main = () => {
+    const [command, name, value] = process.argv.slice(2);
+    const file = getSecretsFile();
+
+    try {
+        if (command === "generate-key") {
+            console.log(crypto.randomBytes(32).toString("base64"));
+            return;
+        }
+
+        if (!["list", "set", "unset", "rotate"].includes(command)) {
+            console.error("Usage: node secrets.js list | set <name> [value] | unset <name> | rotate | generate-key");
+            process.exitCode = 1;
+            return;
+        }
+        // config.js refuses to start on a stored name that is not a secret setting, so never write one
+        if (command === "set" && !(SCHEMA[name] && SCHEMA[name].secret)) {
+            const secretNames = Object.keys(SCHEMA).filter((settingName) => SCHEMA[settingName].secret);
+            throw secretsError(
+                `"${name || ""}" is not a secret setting; expected one of ${secretNames.join(", ")}`,
+                "SECRETS_INVALID_NAME"
+            );
+        }
+        if (command === "unset" && !name) {
+            throw secretsError("Name the secret to remove", "SECRETS_INVALID_NAME");
+        }
+
+        const masterKey = readMasterKey(process.env, "SECRETS_MASTER_KEY");
+        if (!masterKey) {
+            throw secretsError("Set SECRETS_MASTER_KEY or SECRETS_MASTER_KEY_FILE", "SECRETS_KEY_MISSING");
+        }
+        const secrets = loadSecrets({ file, masterKey }) || {};
+
+        switch (command) {
+            case "list": {
+                const names = Object.keys(secrets).sort();
+                if (!names.length) {
+                    console.log(`No secrets in ${file}`);
+                }
+                names.forEach((secretName) => console.log(`${secretName}\t(set ${secrets[secretName].updatedAt})`));
+                break;
+            }
+            case "set": {
+                const secretValue = value !== undefined ? value : readStdin();
+                if (!secretValue) {
+                    throw secretsError("Secret value must not be empty", "SECRETS_INVALID_VALUE");
+                }
+                const updated = { ...secrets, [name]: { value: secretValue, updatedAt: new Date().toISOString() } };
+                saveSecrets(updated, { file, masterKey });
+                console.log(`Stored ${name} in ${file}`);
+                break;
+            }
+            case "unset": {
+                if (!secrets[name]) {
+                    throw secretsError(`${name} is not in ${file}`, "SECRETS_NOT_FOUND");
+                }
+                const { [name]: removed, ...remaining } = secrets;
+                saveSecrets(remaining, { file, masterKey });
+                console.log(`Removed ${name} from ${file}`);
+                break;
+            }
+            case "rotate": {
+                const newMasterKey = readMasterKey(process.env, "SECRETS_NEW_MASTER_KEY");
+                if (!newMasterKey) {
+                    throw secretsError(
+                        "Set SECRETS_NEW_MASTER_KEY or SECRETS_NEW_MASTER_KEY_FILE",
+                        "SECRETS_KEY_MISSING"
+                    );
+                }
+                if (!fs.existsSync(file)) {
+                    throw secretsError(`${file} does not exist`, "SECRETS_NOT_FOUND");
+                }
+                saveSecrets(secrets, { file, masterKey: newMasterKey });
+                console.log(`Re-encrypted ${Object.keys(secrets).length} secret(s) in ${file}`);
+                console.log("Switch SECRETS_MASTER_KEY (or its key file) to the new key now");
+                break;
+            }
+        }
+    } catch (error) {
+        console.error(`secrets: ${error.message}`);
+        process.exitCode = 1;
+    }
+};
+
+// Run when executed directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    loadSecrets,
+    getSecretsFile,
+    readMasterKey,
+};
@@ -13,11 +13,11 @@ async function sendOTPExample() {
         console.log('===== OTP SENDING EXAMPLE =====');
         console.log(`Attempting to send OTP to ${mobileNumber}...`);
 
-        // Call the sendOTP function
-        const result = await sendOTP(mobileNumber);
+        // Call the sendOTP function; every OTP is issued for a purpose
+        const result = await sendOTP(mobileNumber, null, { purpose: 'login' });
 
         if (result.success) {
-            console.log(`Success! OTP: ${result.otp} sent to ${mobileNumber}`);
+            console.log(`Success! OTP sent to ${mobileNumber} (request ID: ${result.requestId})`);
             console.log('Server response:', result.response);
         } else {
             console.error('Failed to send OTP:', result.message);
@@ -0,0 +1,60 @@
+// simulators/amritsarovarSimulator.js - Offline stand-in for the amritsarovar OTP API
+// (POST /EmailSmsServer/api/sendotp with a JSON body { mobile_no, otp })
+//
+// The API words the SMS itself, so a request only needs a valid mobile number and OTP.
+// Success is HTTP 200; bad input is HTTP 400 and injected failures use failureCode as the
+// HTTP status (default 500).
+
+const express = require("express");
+const { CHARSETS } = require("../otpPolicy");
+const { createFaultInjector, applyFaults, createControlRouter } = require("./faults");
+
+const PATH = "/EmailSmsServer/api/sendotp";
+
+// Any OTP otpPolicy.js can generate: 4-12 characters from its numeric or alphanumeric set
+const OTP_PATTERN = new RegExp(`^[${Object.values(CHARSETS).join("")}]{4,12}$`);
+
+/**
+ * Create the amritsarovar simulator
+ * @param {Object} options - { faults } with the starting fault settings
+ * @returns {Object} - Express app, with app.locals.received holding accepted OTPs
+ */
+const createAmritsarovarSimulator = (options = {}) => {
+    const injector = createFaultInjector(options.faults);
+    const received = [];
+
+    const app = express();
+    app.locals.received = received;
+    app.use("/__simulator", createControlRouter(injector, received));
+
+    const answer = (res, status, message) => res.status(status).json({ status: status === 200, message });
+
+    app.post(
+        PATH,
+        express.json(),
+        applyFaults(injector, (res, status) => answer(res, status, `HTTP ${status}`)),
+        (req, res) => {
+            if (req.fault.fail) {
+                return answer(res, req.fault.failureCode || 500, "Unable to send OTP, please try again later");
+            }
+
+            const { mobile_no: mobileNumber, otp } = req.body || {};
+            if (!/^[6-9]\d{9}$/.test(String(mobileNumber || ""))) {
+                return answer(res, 400, "Invalid mobile number");
+            }
+            if (!OTP_PATTERN.test(String(otp || ""))) {
+                return answer(res, 400, "Invalid OTP");
+            }
+
+            received.push({ receivedAt: new Date().toISOString(), mobileNumber: String(mobileNumber), otp: String(otp) });
+            answer(res, 200, "OTP sent successfully");
+        }
+    );
+
+    return app;
+};
+
+module.exports = {
+    createAmritsarovarSimulator,
+    PATH,
+};
@@ -0,0 +1,185 @@
+// simulators/faults.js - Injectable latency, failures and HTTP statuses for the gateway simulators,
+// plus the /__simulator control routes shared by every simulator
+
+const express = require("express");
+
+const DEFAULT_SETTINGS = {
+    // Added to every response
+    latencyMs: 0,
+    // Up to this much extra latency, at random
+    latencyJitterMs: 0,
+    // Share of requests (0-1) answered with the simulator's failure body
+    failureRate: 0,
+    // Gateway code for injected failures (simulators that have codes)
+    failureCode: null,
+    // Answer every request with this HTTP status instead of processing it
+    httpStatus: null,
+    // Share of requests (0-1) whose connection is dropped without an answer
+    dropRate: 0,
+    // Apply the faults to this many more requests only, then go back to normal (null = until reset)
+    remaining: null,
+};
+
+// Environment variable suffixes for each setting, with how to read them
+const ENV_SETTINGS = {
+    latencyMs: ["LATENCY_MS", parseInt],
+    latencyJitterMs: ["LATENCY_JITTER_MS", parseInt],
+    failureRate: ["FAILURE_RATE", parseFloat],
+    failureCode: ["FAILURE_CODE", parseInt],
+    httpStatus: ["HTTP_STATUS", parseInt],
+    dropRate: ["DROP_RATE", parseFloat],
+};
+
+/**
+ * Read fault settings from the environment, e.g. SIM_MSDG_LATENCY_MS, SIM_MSDG_FAILURE_RATE
+ * @param {string} prefix - Variable prefix, e.g. "SIM_MSDG_"
+ * @returns {Object} - Settings present in the environment
+ */
+const settingsFromEnv = (prefix) => {
+    const settings = {};
+    for (const [name, [suffix, parse]] of Object.entries(ENV_SETTINGS)) {
+        const value = process.env[`${prefix}${suffix}`];
+        if (value) {
+            settings[name] = parse(value);
+        }
+    }
+    return settings;
+};
+
+/**
+ * Check and normalise fault settings
+ * @param {Object} settings - Partial settings
+ * @returns {Object} - Full settings
+ * @throws {Error} - For out-of-range values
+ */
+const normalizeSettings = (settings) => {
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+    for (const name of ["failureRate", "dropRate"]) {
+        if (!(merged[name] >= 0 && merged[name] <= 1)) {
+            throw new Error(`${name} must be between 0 and 1`);
+        }
+    }
+    for (const name of ["latencyMs", "latencyJitterMs"]) {
+        if (!(merged[name] >= 0)) {
+            throw new Error(`${name} must be a non-negative number`);
+        }
+    }
+    if (merged.httpStatus !== null && !(merged.httpStatus >= 100 && merged.httpStatus <= 599)) {
+        throw new Error("httpStatus must be an HTTP status code");
+    }
+    return merged;
+};
+
+/**
+ * Create the fault state of one simulator
+ * @param {Object} initial - Starting settings (see DEFAULT_SETTINGS)
+ * @returns {Object} - { configure, reset, getSettings, decide }
+ */
+const createFaultInjector = (initial = {}) => {
+    const base = normalizeSettings(initial);
+    let settings = base;
+
+    /**
+     * Decide what happens to the next request
+     * @returns {Object} - { latencyMs, drop, httpStatus, fail, failureCode }
+     */
+    const decide = () => {
+        const decision = {
+            latencyMs: settings.latencyMs + Math.round(Math.random() * settings.latencyJitterMs),
+            drop: Math.random() < settings.dropRate,
+            httpStatus: settings.httpStatus,
+            fail: Math.random() < settings.failureRate,
+            failureCode: settings.failureCode,
+        };
+
+        if (settings.remaining !== null) {
+            settings = { ...settings, remaining: settings.remaining - 1 };
+            if (settings.remaining <= 0) {
+                settings = base;
+            }
+        }
+        return decision;
+    };
+
+    return {
+        configure: (changes) => {
+            settings = normalizeSettings({ ...settings, ...changes });
+            return settings;
+        },
+        reset: () => {
+            settings = base;
+            return settings;
+        },
+        getSettings: () => settings,
+        decide,
+    };
+};
+
+/**
+ * Express middleware applying latency, dropped connections and forced statuses.
+ * Leaves req.fault ({ fail, failureCode }) for the simulator's own failure body.
+ * @param {Object} injector - From createFaultInjector
+ * @param {Function} renderStatus - (res, status) => void, answers a forced HTTP status
+ * @returns {Function} - Express middleware
+ */
+const applyFaults = (injector, renderStatus) => async (req, res, next) => {
+    const decision = injector.decide();
+
+    if (decision.latencyMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, decision.latencyMs));
+    }
+    if (decision.drop) {
+        return req.socket.destroy();
+    }
+    if (decision.httpStatus) {
+        return renderStatus(res, decision.httpStatus);
+    }
+
+    req.fault = { fail: decision.fail, failureCode: decision.failureCode };
+    next();
+};
+
+/**
+ * Control routes: read and change the faults, and read or clear what the simulator received
+ * @param {Object} injector - From createFaultInjector
+ * @param {Object[]} received - The simulator's received-message log
+ * @returns {Object} - Express router to mount at /__simulator
+ */
+const createControlRouter = (injector, received) => {
+    const router = express.Router();
+    router.use(express.json());
+
+    router.get("/", (req, res) => {
+        res.json({ faults: injector.getSettings(), received: received.length });
+    });
+
+    // Body: any of the DEFAULT_SETTINGS fields, e.g. { "failureRate": 1, "failureCode": 407, "remaining": 2 }
+    router.put("/faults", (req, res) => {
+        try {
+            res.json({ faults: injector.configure(req.body || {}) });
+        } catch (error) {
+            res.status(400).json({ message: error.message });
+        }
+    });
+
+    router.delete("/faults", (req, res) => {
+        res.json({ faults: injector.reset() });
+    });
+
+    router.get("/messages", (req, res) => {
+        res.json({ count: received.length, data: received });
+    });
+
+    router.delete("/messages", (req, res) => {
+        res.json({ cleared: received.splice(0, received.length).length });
+    });
+
+    return router;
+};
+
+module.exports = {
+    createFaultInjector,
+    applyFaults,
+    createControlRouter,
+    settingsFromEnv,
+};
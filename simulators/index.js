@@ -0,0 +1,56 @@
+// simulators/index.js - Run the MSDG and amritsarovar gateway simulators
+//
+// Usage:
+//   npm run simulators
+//   node simulators [msdg|amritsarovar]     (both by default)
+//
+// Ports: SIM_MSDG_PORT (default 9501), SIM_AMRITSAROVAR_PORT (default 9502).
+// Starting faults: SIM_MSDG_* / SIM_AMRITSAROVAR_* with LATENCY_MS, LATENCY_JITTER_MS,
+// FAILURE_RATE, FAILURE_CODE, HTTP_STATUS and DROP_RATE; change them at runtime with
+// PUT /__simulator/faults. Point the app at a simulator with:
+//   MSDG_API_URL=http://localhost:9501/esms/sendsmsrequestDLT MSDG_USE_PROXY=false
+//   MSDG_USERNAME=simulator MSDG_PASSWORD=simulator-password MSDG_SECURE_KEY=simulator-secure-key
+//   MSDG_SENDER_ID=SIMSMS   (the MSDG simulator's default account; see msdgSimulator.js)
+//   AMRITSAROVAR_API_URL=http://localhost:9502/EmailSmsServer/api/sendotp AMRITSAROVAR_USE_PROXY=false
+
+const { createMsdgSimulator, PATH: MSDG_PATH } = require("./msdgSimulator");
+const { createAmritsarovarSimulator, PATH: AMRITSAROVAR_PATH } = require("./amritsarovarSimulator");
+const { settingsFromEnv } = require("./faults");
+
+const SIMULATORS = {
+    msdg: {
+        create: () => createMsdgSimulator({ faults: settingsFromEnv("SIM_MSDG_") }),
+        port: parseInt(process.env.SIM_MSDG_PORT || "9501"),
+        path: MSDG_PATH,
+    },
+    amritsarovar: {
+        create: () => createAmritsarovarSimulator({ faults: settingsFromEnv("SIM_AMRITSAROVAR_") }),
+        port: parseInt(process.env.SIM_AMRITSAROVAR_PORT || "9502"),
+        path: AMRITSAROVAR_PATH,
+    },
+};
+
+/**
+ * Start simulators
+ * @param {string[]} names - Simulators to start (default all)
+ * @returns {Object[]} - The HTTP servers
+ */
+const startSimulators = (names = Object.keys(SIMULATORS)) =>
+    names.map((name) => {
+        const simulator = SIMULATORS[name];
+        if (!simulator) {
+            throw new Error(`Unknown simulator: ${name} (expected one of ${Object.keys(SIMULATORS).join(", ")})`);
+        }
+        return simulator.create().listen(simulator.port, () => {
+            console.log(`${name} simulator listening on http://localhost:${simulator.port}${simulator.path}`);
+        });
+    });
+
+if (require.main === module) {
+    const names = process.argv.slice(2);
+    startSimulators(names.length ? names : undefined);
+}
+
+module.exports = {
+    startSimulators,
+};
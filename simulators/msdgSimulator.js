@@ -0,0 +1,219 @@
+// simulators/msdgSimulator.js - Offline stand-in for the MSDG DLT gateway (POST /esms/sendsmsrequestDLT)
+//
+// Checks requests the way the gateway does: the password must be the SHA-1 (over Latin-1
+// bytes) of the account password, and key the SHA-512 of username + senderid + content +
+// secure key, each trimmed, over the content exactly as sent. Answers with the gateway's
+// "<code>,<text>" bodies on HTTP 200, and 430 for content that does not match the DLT
+// template it is sent under. The hashing and template matching are written out here rather
+// than imported from the app, so an app bug cannot hide behind the same code.
+//
+// The simulator reads no app configuration, so it starts without real gateway credentials.
+// Its account comes from SIM_MSDG_USERNAME, SIM_MSDG_PASSWORD, SIM_MSDG_SECURE_KEY and
+// SIM_MSDG_SENDER_IDS (comma-separated), defaulting to the values below; give the app the
+// same ones. Templates are the app's default OTP template plus any in SIM_MSDG_TEMPLATES_FILE
+// (the format of DLT_TEMPLATES_FILE: [{ id, text }] with "{#var#}" placeholders).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const express = require("express");
+const { createFaultInjector, applyFaults, createControlRouter } = require("./faults");
+
+const PATH = "/esms/sendsmsrequestDLT";
+
+// The gateway's answer for each code the simulator produces
+const RESPONSES = {
+    401: "401,Credentials Error, may be invalid username or password",
+    403: "403,Credits not available",
+    404: "404,Internal Database Error",
+    405: "405,Internal Networking Error",
+    406: "406,Invalid or duplicate numbers",
+    407: "407,Network Error on SMSC",
+    408: "408,Network Error on SMSC",
+    410: "410,Internal Limit Exceeded, Contact support",
+    411: "411,Sender ID not approved.",
+    413: "413,Suspect Spam, we do not accept these messages.",
+    414: "414,Rejected by various reasons by the operator such as DND, SPAM etc",
+    415: "415,Secure Key not available",
+    416: "416,Hash is not matching",
+    418: "418,Daily Limit Exceeded",
+    430: "430,Invalid Template ID or Template Content Mismatch",
+};
+
+// Form field carrying the recipient(s) for each service type
+const SERVICE_TYPES = {
+    otpmsg: { recipientParam: "mobileno", multipleRecipients: false },
+    singlemsg: { recipientParam: "mobileno", multipleRecipients: false },
+    bulkmsg: { recipientParam: "bulkmobno", multipleRecipients: true },
+    unicodemsg: { recipientParam: "bulkmobno", multipleRecipients: true },
+};
+
+// DLT allows at most this many characters in one template variable
+const VARIABLE_MAX_LENGTH = 30;
+
+/**
+ * Accounts the simulator accepts by default
+ */
+const DEFAULT_ACCOUNTS = [
+    {
+        username: process.env.SIM_MSDG_USERNAME || "simulator",
+        password: process.env.SIM_MSDG_PASSWORD || "simulator-password",
+        secureKey: process.env.SIM_MSDG_SECURE_KEY || "simulator-secure-key",
+        senderIds: (process.env.SIM_MSDG_SENDER_IDS || "SIMSMS").split(","),
+    },
+];
+
+/**
+ * Approved template text by template ID the simulator accepts by default
+ * @returns {Object} - { id: text }
+ */
+const loadDefaultTemplates = () => {
+    const templates = { "1307165847021622765": "Your OTP is {#var#} - Digital India Corporation" };
+    if (process.env.SIM_MSDG_TEMPLATES_FILE) {
+        const definitions = JSON.parse(fs.readFileSync(process.env.SIM_MSDG_TEMPLATES_FILE, "utf8"));
+        definitions.forEach(({ id, text }) => {
+            templates[String(id)] = text;
+        });
+    }
+    return templates;
+};
+
+/**
+ * Whether content matches approved template text, each "{#var#}" standing for 1-30 characters
+ * @param {string} text - Approved text
+ * @param {string} content - Message content
+ * @returns {boolean}
+ */
+const matchesTemplate = (text, content) => {
+    const pattern = text
+        .split("{#var#}")
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join(`[\\s\\S]{1,${VARIABLE_MAX_LENGTH}}`);
+    return new RegExp(`^${pattern}$`).test(content);
+};
+
+const sha1Latin1 = (text) => crypto.createHash("sha1").update(text, "latin1").digest("hex");
+
+const expectedHashKey = ({ username, senderid, content, secureKey }) =>
+    crypto
+        .createHash("sha512")
+        .update(`${username.trim()}${senderid.trim()}${content.trim()}${secureKey.trim()}`)
+        .digest("hex");
+
+/**
+ * Turn unicode-service content ("&#2309;&#2346;...") back into text for the received log
+ * @param {string} content - Encoded content
+ * @returns {string}
+ */
+const decodeUnicodeContent = (content) =>
+    content.replace(/&#(\d+);/g, (match, codePoint) => String.fromCodePoint(parseInt(codePoint)));
+
+/**
+ * Gateway-style message ID ("<digits>msdgsms")
+ * @returns {string}
+ */
+const createGatewayMessageId = () => `${Date.now()}${crypto.randomInt(100000000, 999999999)}msdgsms`;
+
+/**
+ * Check one request and pick the gateway code to answer with
+ * @param {Object} form - Parsed form fields
+ * @param {Object[]} accounts - Accepted accounts
+ * @param {Object} templates - Approved text by template ID
+ * @returns {Object} - { code, recipients }
+ */
+const checkRequest = (form, accounts, templates) => {
+    const account = accounts.find((candidate) => candidate.username === form.username);
+    if (!account || !form.password || sha1Latin1(account.password) !== form.password) {
+        return { code: 401 };
+    }
+    if (!account.secureKey) {
+        return { code: 415 };
+    }
+    if (!form.senderid || !account.senderIds.includes(form.senderid)) {
+        return { code: 411 };
+    }
+
+    const content = form.content || "";
+    if (!form.key || expectedHashKey({ ...form, content, secureKey: account.secureKey }) !== form.key) {
+        return { code: 416 };
+    }
+
+    const templateText = /^\d+$/.test(form.templateid || "") ? templates[form.templateid] : undefined;
+    const text = form.smsservicetype === "unicodemsg" ? decodeUnicodeContent(content) : content;
+    if (!templateText || !matchesTemplate(templateText, text)) {
+        return { code: 430 };
+    }
+
+    const serviceType = SERVICE_TYPES[form.smsservicetype];
+    const recipients = String((serviceType && form[serviceType.recipientParam]) || "")
+        .split(",")
+        .map((number) => number.trim())
+        .filter(Boolean);
+    const valid = recipients.every((number) => /^(91)?[6-9]\d{9}$/.test(number));
+    if (
+        !serviceType ||
+        !recipients.length ||
+        !valid ||
+        new Set(recipients).size !== recipients.length ||
+        (recipients.length > 1 && !serviceType.multipleRecipients)
+    ) {
+        return { code: 406 };
+    }
+
+    return { code: 402, recipients };
+};
+
+/**
+ * Create the MSDG simulator
+ * @param {Object} options - { accounts, templates, faults } where templates maps template IDs to
+ *   approved text and faults are the starting fault settings
+ * @returns {Object} - Express app, with app.locals.received holding accepted messages
+ */
+const createMsdgSimulator = (options = {}) => {
+    const accounts = options.accounts || DEFAULT_ACCOUNTS;
+    const templates = options.templates || loadDefaultTemplates();
+    const injector = createFaultInjector(options.faults);
+    const received = [];
+
+    const app = express();
+    app.locals.received = received;
+    app.use("/__simulator", createControlRouter(injector, received));
+
+    app.post(
+        PATH,
+        express.urlencoded({ extended: false }),
+        applyFaults(injector, (res, status) => res.status(status).type("text/html").send(`HTTP ${status}`)),
+        (req, res) => {
+            const form = req.body || {};
+            // The gateway reports its own status in the body of an HTTP 200
+            const answer = (body) => res.status(200).type("text/html").send(body);
+
+            if (req.fault.fail) {
+                return answer(RESPONSES[req.fault.failureCode] || RESPONSES[405]);
+            }
+
+            const { code, recipients } = checkRequest(form, accounts, templates);
+            if (code !== 402) {
+                return answer(RESPONSES[code]);
+            }
+
+            const gatewayMessageId = createGatewayMessageId();
+            received.push({
+                gatewayMessageId,
+                receivedAt: new Date().toISOString(),
+                serviceType: form.smsservicetype,
+                recipients,
+                senderId: form.senderid,
+                templateId: form.templateid,
+                content: form.smsservicetype === "unicodemsg" ? decodeUnicodeContent(form.content) : form.content,
+            });
+            answer(`402,MsgID = ${gatewayMessageId}`);
+        }
+    );
+
+    return app;
+};
+
+module.exports = {
+    createMsdgSimulator,
+    PATH,
+};
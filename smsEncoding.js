@@ -0,0 +1,127 @@
+// smsEncoding.js - GSM-7 / UCS-2 detection and SMS segment counting
+//
+// A single SMS carries 160 GSM-7 characters or 70 UCS-2 code units. Longer messages are
+// split into parts that each lose room to the concatenation header (153 / 67), and every
+// part is billed. One character outside GSM-7 turns the whole message into UCS-2.
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC =
+    "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+    "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// GSM 03.38 extension table (escape + character: two septets each)
+const GSM_EXTENDED = "^{}\\[~]|€\f";
+
+const GSM_BASIC_SET = new Set(GSM_BASIC);
+const GSM_EXTENDED_SET = new Set(GSM_EXTENDED);
+
+const LIMITS = {
+    "GSM-7": { single: 160, multipart: 153 },
+    "UCS-2": { single: 70, multipart: 67 },
+};
+
+// Most segments a message sent through the send path may take
+const MAX_SEGMENTS = parseInt(process.env.SMS_MAX_SEGMENTS || "6");
+
+/**
+ * Split a message into segments, never breaking an escape sequence or surrogate pair
+ * @param {number[]} costs - Units each character takes
+ * @param {number} perSegment - Units per segment
+ * @returns {Object} - { segments, lastSegmentUnits }
+ */
+const countParts = (costs, perSegment) => {
+    let segments = 1;
+    let used = 0;
+    for (const cost of costs) {
+        if (used + cost > perSegment) {
+            segments++;
+            used = 0;
+        }
+        used += cost;
+    }
+    return { segments, lastSegmentUnits: used };
+};
+
+/**
+ * Analyse a message's encoding and segment count
+ * @param {string} text - Message content
+ * @returns {Object} - { encoding, characters, units, segments, perSegment, remainingInSegment,
+ *                       unicodeCharacters, extendedCharacters }
+ *                     where units are septets (GSM-7) or UTF-16 code units (UCS-2), and
+ *                     unicodeCharacters lists { character, codePoint, index } forcing UCS-2
+ */
+const analyzeMessage = (text) => {
+    const characters = [...String(text === undefined || text === null ? "" : text)];
+    const unicodeCharacters = [];
+    let extendedCharacters = 0;
+
+    characters.forEach((character, index) => {
+        if (GSM_EXTENDED_SET.has(character)) {
+            extendedCharacters++;
+        } else if (!GSM_BASIC_SET.has(character)) {
+            unicodeCharacters.push({
+                character,
+                codePoint: `U+${character.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`,
+                index,
+            });
+        }
+    });
+
+    const encoding = unicodeCharacters.length ? "UCS-2" : "GSM-7";
+    const costs = characters.map((character) =>
+        encoding === "UCS-2" ? character.length : GSM_EXTENDED_SET.has(character) ? 2 : 1
+    );
+    const units = costs.reduce((sum, cost) => sum + cost, 0);
+
+    const limits = LIMITS[encoding];
+    const multipart = units > limits.single;
+    const perSegment = multipart ? limits.multipart : limits.single;
+    const { segments, lastSegmentUnits } = countParts(costs, perSegment);
+
+    return {
+        encoding,
+        characters: characters.length,
+        units,
+        segments,
+        perSegment,
+        remainingInSegment: perSegment - lastSegmentUnits,
+        unicodeCharacters,
+        extendedCharacters,
+    };
+};
+
+/**
+ * Short form of an analysis for send results
+ * @param {Object} analysis - Result of analyzeMessage
+ * @returns {Object} - { encoding, characters, segments }
+ */
+const summarize = ({ encoding, characters, segments }) => ({ encoding, characters, segments });
+
+/**
+ * Analyse a message and reject it if it is longer than the segment limit
+ * @param {string} text - Message content
+ * @param {Object} options - { maxSegments } (default SMS_MAX_SEGMENTS)
+ * @returns {Object} - The analysis
+ * @throws {Error} - MESSAGE_TOO_LONG, with the analysis attached
+ */
+const assertWithinSegmentLimit = (text, options = {}) => {
+    const maxSegments = options.maxSegments || MAX_SEGMENTS;
+    const analysis = analyzeMessage(text);
+
+    if (analysis.segments > maxSegments) {
+        const error = new Error(
+            `Message needs ${analysis.segments} ${analysis.encoding} segments; at most ${maxSegments} are allowed`
+        );
+        error.code = "MESSAGE_TOO_LONG";
+        error.analysis = analysis;
+        throw error;
+    }
+
+    return analysis;
+};
+
+module.exports = {
+    analyzeMessage,
+    summarize,
+    assertWithinSegmentLimit,
+    MAX_SEGMENTS,
+};
@@ -1,155 +1,261 @@
-// smsService.js - Service for sending SMS messages through government API
+// smsService.js - Service for sending SMS messages through the SMS provider layer
 
-const https = require('https');
-const crypto = require('crypto');
-const axios = require('axios');
+const { generateOTP } = require('./otpPolicy');
+const otpPurposes = require('./otpPurposes');
+const dltTemplates = require('./dltTemplates');
+const smsEncoding = require('./smsEncoding');
+const router = require('./providers/router');
+const { SERVICE_TYPES } = require('./providers/msdgProvider');
+const { config: appConfig } = require('./config');
+const logger = require('./logger');
 
 /**
- * Sends an OTP SMS message through the government SMS gateway
+ * Sends an OTP SMS message through the SMS providers, failing over in priority
+ * order (the government MSDG gateway first unless configured otherwise)
  * @param {string} mobileNumber - The recipient mobile number
  * @param {string} otp - The OTP to be sent
  * @param {Object} options - Additional options for SMS sending
+ * @param {string} options.purpose - OTP purpose; selects the DLT template and message text
+ * @param {Object} options.context - Purpose context substituted into the message
+ * @param {string} options.provider - Use only this provider (no failover)
  * @returns {Promise} - Promise resolving to the API response
  */
 const sendSmsOtp = async (mobileNumber, otp, options = {}) => {
     try {
         // Default values
         const defaults = {
-            username: "<MSDG_USERNAME>",
-            password: "<MSDG_PASSWORD>",
-            senderId: "NCOGIT",
-            secureKey: "<MSDG_SECURE_KEY>",
-            templateId: "1307165847021622765",
-            apiUrl: "https://msdgweb.mgov.gov.in/esms/sendsmsrequestDLT",
-            proxyHost: "10.194.81.45",
-            proxyPort: 8080,
-            messagePrefix: "Your OTP is",
-            messageSuffix: "- Digital India Corporation"
+            templateId: appConfig.msdg.templateId
         };
 
         // Merge default options with provided options
-        const config = { ...defaults, ...options };
-
-        // Format the OTP message
-        const message = `${config.messagePrefix} ${otp} ${config.messageSuffix}`;
-
-        console.log("Setting proxy:", `${config.proxyHost}:${config.proxyPort}`);
-        console.log("Sending OTP message to:", mobileNumber);
-        console.log("Message content:", message);
-
-        // Step 1: Encrypt password (SHA-1)
-        const encryptedPassword = crypto
-            .createHash("sha1")
-            .update(config.password, "iso-8859-1")
-            .digest("hex");
-
-        console.log("Encrypted password (SHA-1):", encryptedPassword);
-
-        // Step 2: Generate hash key (SHA-512)
-        const inputString = `${config.username.trim()}${config.senderId.trim()}${message.trim()}${config.secureKey.trim()}`;
-        const generatedHashKey = crypto
-            .createHash("sha512")
-            .update(inputString)
-            .digest("hex");
-
-        console.log("Generated hash key (SHA-512):", generatedHashKey);
-
-        // Step 3: Prepare request parameters
-        const params = {
-            mobileno: mobileNumber,
-            senderid: config.senderId,
-            content: message,
-            smsservicetype: "otpmsg",
-            username: config.username,
-            password: encryptedPassword,
-            key: generatedHashKey,
-            templateid: config.templateId,
-        };
+        const { purpose, context, provider: providerName, ...config } = { ...defaults, ...options };
 
-        // Build query string
-        const queryString = new URLSearchParams(params).toString();
-        console.log("Query string:", queryString);
+        // Render the OTP message from its DLT template; a purpose brings its own template
+        let message;
+        if (purpose) {
+            config.templateId = otpPurposes.getPurpose(purpose).templateId;
+            message = otpPurposes.renderMessage(purpose, otp, context);
+        } else {
+            message = dltTemplates.renderTemplate(config.templateId, [otp]);
+        }
 
-        // Custom HTTPS agent for TLS version and certificate validation
-        const httpsAgent = new https.Agent({
-            rejectUnauthorized: false,
-            maxVersion: "TLSv1.2",
-            minVersion: "TLSv1.2",
-        });
+        const analysis = smsEncoding.summarize(smsEncoding.assertWithinSegmentLimit(message));
 
-        // Configure the request properly based on Axios documentation
-        const axiosConfig = {
-            method: "post",
-            url: config.apiUrl,
-            data: queryString,
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-                "Content-Length": Buffer.byteLength(queryString),
-            },
-            httpsAgent: httpsAgent,
-            // Correctly configure proxy according to Axios docs
-            proxy: {
-                protocol: "http",
-                host: config.proxyHost,
-                port: config.proxyPort,
-            },
-            maxRedirects: 0,
-            validateStatus: null,
-        };
+        // Never write the OTP itself to the logs
+        const maskedMessage = message.split(otp).join("*".repeat(String(otp).length));
+        logger.info("Sending OTP message", { to: mobileNumber, content: maskedMessage });
 
-        console.log("Making API request to:", config.apiUrl);
-        const response = await axios(axiosConfig);
+        // Try the providers in priority order (MSDG first unless configured otherwise)
+        const { templateId, ...overrides } = config;
+        const routed = await router.sendWithFailover(
+            { to: mobileNumber, content: message, templateId, otp },
+            {
+                providers: providerName ? [providerName] : undefined,
+                preferred: "msdg",
+                meta: { purpose },
+                overrides,
+            }
+        );
+        const result = routed.result;
 
-        console.log("Response status:", response.status);
+        logger.info("OTP message routed", { provider: routed.provider || "none", attempts: routed.attempts.length });
 
-        if (response.status === 200) {
-            console.log("Response data:", response.data);
+        if (routed.success) {
+            logger.debug("OTP message gateway response", { data: result.data });
             return {
                 success: true,
-                data: response.data,
+                data: result.data,
+                messageId: routed.messageId,
+                provider: routed.provider,
+                gatewayCode: result.gatewayCode,
+                gatewayMessageId: result.gatewayMessageId,
+                analysis,
+                attempts: routed.attempts,
                 message: "SMS sent successfully"
             };
         } else {
-            console.log("Non-success status code:", response.status);
+            logger.warn("OTP message not sent", {
+                statusCode: result ? result.statusCode : undefined,
+                gatewayCode: result ? result.gatewayCode : undefined,
+            });
             return {
                 success: false,
-                statusCode: response.status,
-                message: "API returned non-success status code"
+                messageId: routed.messageId,
+                analysis,
+                statusCode: result ? result.statusCode : undefined,
+                gatewayCode: result ? result.gatewayCode : undefined,
+                gatewayMessage: result ? result.gatewayMessage : undefined,
+                retryable: routed.retryable,
+                attempts: routed.attempts,
+                message: result ? result.message : "All providers failed"
             };
         }
     } catch (error) {
-        console.log("API call error:", error.message);
+        logger.error("OTP message send error", {
+            error: error.message,
+            status: error.response ? error.response.status : undefined,
+            data: error.response ? error.response.data : undefined,
+        });
+
+        return {
+            success: false,
+            code: error.code,
+            error: "API call failed",
+            message: error.message,
+            analysis: error.analysis ? smsEncoding.summarize(error.analysis) : undefined
+        };
+    }
+};
+
+/**
+ * Pick the message type for content when the caller did not:
+ * unicode when the content needs UCS-2, bulk for several recipients, single otherwise
+ * @param {string|string[]} to - Recipient(s)
+ * @param {Object} analysis - smsEncoding analysis of the content
+ * @returns {string} - Message type
+ */
+const detectMessageType = (to, analysis) => {
+    if (analysis.encoding === "UCS-2") {
+        return "unicode";
+    }
+    return Array.isArray(to) && to.length > 1 ? "bulk" : "single";
+};
+
+/**
+ * Sends a regular (non-OTP) SMS through the SMS providers
+ * @param {string|string[]} to - Recipient mobile number, or several for bulk and unicode messages
+ * @param {string} content - Message text; must match the DLT template
+ * @param {Object} options - Additional options for SMS sending
+ * @param {string} options.type - single, bulk, unicode or otp (detected from the content when omitted)
+ * @param {string} options.templateId - DLT template ID the content was registered under
+ * @param {string} options.provider - Use only this provider (no failover)
+ * @param {string} options.messageId - Existing message record to track the send on (e.g. a queue job's)
+ * @returns {Promise} - Promise resolving to the send result
+ */
+const sendSms = async (to, content, options = {}) => {
+    try {
+        const { type: requestedType, templateId, provider: providerName, meta, messageId, ...overrides } = options;
+
+        let problem = null;
+        if (!to || (Array.isArray(to) && to.length === 0)) {
+            problem = "At least one recipient is required";
+        } else if (!content || typeof content !== "string") {
+            problem = "Message content is required";
+        } else if (!templateId) {
+            problem = "A DLT template ID is required";
+        }
+        if (problem) {
+            const error = new Error(problem);
+            error.code = "INVALID_MESSAGE";
+            throw error;
+        }
 
-        if (error.response) {
-            console.log("Error status:", error.response.status);
-            console.log("Error data:", error.response.data);
+        const analysis = smsEncoding.assertWithinSegmentLimit(content);
+        const type = requestedType || detectMessageType(to, analysis);
+        if (!SERVICE_TYPES[type]) {
+            const error = new Error(`Unknown message type '${type}' (expected ${Object.keys(SERVICE_TYPES).join(", ")})`);
+            error.code = "INVALID_MESSAGE_TYPE";
+            throw error;
         }
+        if (Array.isArray(to) && to.length > 1 && !SERVICE_TYPES[type].multipleRecipients) {
+            const error = new Error(`Message type '${type}' takes a single recipient`);
+            error.code = "INVALID_MESSAGE_TYPE";
+            throw error;
+        }
+        if (analysis.encoding === "UCS-2" && type !== "unicode") {
+            const characters = analysis.unicodeCharacters.map(({ character }) => character).join(" ");
+            const error = new Error(`Message type '${type}' cannot carry these characters; use unicode: ${characters}`);
+            error.code = "INVALID_MESSAGE_TYPE";
+            error.analysis = analysis;
+            throw error;
+        }
+
+        // Content that does not match its DLT template would only be dropped by the operator
+        dltTemplates.assertContent(templateId, content);
+
+        logger.info(`Sending ${type} message`, { to: Array.isArray(to) ? `${to.length} recipient(s)` : to });
+
+        const routed = await router.sendWithFailover(
+            { to, content, templateId, type },
+            {
+                providers: providerName ? [providerName] : undefined,
+                preferred: "msdg",
+                messageId,
+                meta: { ...meta, type },
+                overrides,
+            }
+        );
+        const result = routed.result;
+
+        logger.info("SMS routed", { provider: routed.provider || "none", attempts: routed.attempts.length });
+
+        if (routed.success) {
+            return {
+                success: true,
+                messageId: routed.messageId,
+                type,
+                provider: routed.provider,
+                gatewayCode: result.gatewayCode,
+                gatewayMessageId: result.gatewayMessageId,
+                analysis: smsEncoding.summarize(analysis),
+                attempts: routed.attempts,
+                message: "SMS sent successfully"
+            };
+        }
+
+        return {
+            success: false,
+            messageId: routed.messageId,
+            type,
+            analysis: smsEncoding.summarize(analysis),
+            statusCode: result ? result.statusCode : undefined,
+            gatewayCode: result ? result.gatewayCode : undefined,
+            gatewayMessage: result ? result.gatewayMessage : undefined,
+            retryable: routed.retryable,
+            attempts: routed.attempts,
+            message: result ? result.message : "All providers failed"
+        };
+    } catch (error) {
+        logger.error("SMS send error", { error: error.message });
 
         return {
             success: false,
+            code: error.code,
             error: "API call failed",
-            message: error.message
+            message: error.message,
+            analysis: error.analysis ? smsEncoding.summarize(error.analysis) : undefined
         };
     }
 };
 
 /**
- * Generate a random OTP of specified length
- * @param {number} length - Length of the OTP (default: 4)
- * @returns {string} - Generated OTP
+ * Sends an SMS rendered from a registered DLT template
+ * @param {string|string[]} to - Recipient mobile number(s)
+ * @param {string} templateId - DLT template ID
+ * @param {Array|Object} variables - Placeholder values, in order or by the template's variable names
+ * @param {Object} options - Same as sendSms (type, provider, ...)
+ * @returns {Promise} - Promise resolving to the send result
  */
-const generateOTP = (length = 4) => {
-    const digits = '0123456789';
-    let OTP = '';
-
-    for (let i = 0; i < length; i++) {
-        OTP += digits[Math.floor(Math.random() * 10)];
+const sendTemplateSms = async (to, templateId, variables, options = {}) => {
+    let content;
+    try {
+        content = dltTemplates.renderTemplate(templateId, variables);
+    } catch (error) {
+        logger.error("SMS send error", { error: error.message });
+        return {
+            success: false,
+            code: error.code,
+            error: "API call failed",
+            message: error.message
+        };
     }
 
-    return OTP;
+    return sendSms(to, content, { ...options, templateId });
 };
 
 module.exports = {
     sendSmsOtp,
+    sendSms,
+    sendTemplateSms,
     generateOTP
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+// test/circuitBreaker.test.js - Circuit breaker state transitions
+
+require("./setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createCircuitBreaker, STATES } = require("../circuitBreaker");
+
+const fail = () => Promise.reject(new Error("boom"));
+const succeed = () => Promise.resolve("ok");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("opens once the failure rate reaches the threshold", async () => {
+    const breaker = createCircuitBreaker("test-open", { minimumCalls: 4, failureRateThreshold: 0.5 });
+    await breaker.execute(succeed);
+    await breaker.execute(succeed);
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.getState().state, STATES.OPEN);
+    await assert.rejects(breaker.execute(succeed), { code: "CIRCUIT_OPEN" });
+});
+
+test("a successful trial after the cooldown closes it again", async () => {
+    const breaker = createCircuitBreaker("test-recover", { minimumCalls: 1, cooldownMs: 20 });
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.getState().state, STATES.OPEN);
+
+    await sleep(30);
+    assert.equal(await breaker.execute(succeed), "ok");
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+});
+
+test("a failed trial opens it for another cooldown", async () => {
+    const breaker = createCircuitBreaker("test-trial", { minimumCalls: 1, cooldownMs: 20 });
+    await assert.rejects(breaker.execute(fail));
+    await sleep(30);
+    await assert.rejects(breaker.execute(fail), { message: "boom" });
+    assert.equal(breaker.getState().state, STATES.OPEN);
+});
+
+test("isFailure and isErrorFailure decide what counts", async () => {
+    const breaker = createCircuitBreaker("test-classify", {
+        minimumCalls: 1,
+        isFailure: (result) => result === "bad",
+        isErrorFailure: (error) => error.code !== "CALLER_ERROR",
+    });
+    const callerError = Object.assign(new Error("bad input"), { code: "CALLER_ERROR" });
+    await assert.rejects(breaker.execute(() => Promise.reject(callerError)));
+    assert.equal(breaker.getState().state, STATES.CLOSED);
+
+    assert.equal(await breaker.execute(() => Promise.resolve("bad")), "bad");
+    assert.equal(breaker.getState().state, STATES.OPEN);
+});
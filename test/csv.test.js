@@ -0,0 +1,38 @@
+// test/csv.test.js - CSV parsing and writing
+
+require("./setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseRows, parseRecords, formatRecords } = require("../csv");
+
+test("parseRows handles quotes, escaped quotes and CRLF", () => {
+    const rows = parseRows('a,"b,c","say ""hi"""\r\n1,2,3\r\n');
+    assert.deepEqual(rows.map((row) => row.fields), [
+        ["a", "b,c", 'say "hi"'],
+        ["1", "2", "3"],
+    ]);
+});
+
+test("parseRows reports the line each row starts on", () => {
+    const rows = parseRows('\uFEFFname,note\n\nalice,"two\nlines"\nbob,x');
+    assert.deepEqual(rows.map((row) => row.line), [1, 3, 5]);
+    assert.equal(rows[1].fields[1], "two\nlines");
+});
+
+test("parseRecords keys fields by header and keeps the line apart", () => {
+    const { headers, records } = parseRecords(" mobile ,line\n9876543210,99\n9876543211\n");
+    assert.deepEqual(headers, ["mobile", "line"]);
+    assert.deepEqual(records, [
+        { line: 2, values: { mobile: "9876543210", line: "99" } },
+        { line: 3, values: { mobile: "9876543211", line: "" } },
+    ]);
+});
+
+test("formatRecords quotes fields and neutralises formulas", () => {
+    const text = formatRecords(["a", "b"], [
+        { a: "x,y", b: 'q"q' },
+        { a: "=SUM(A1)", b: "-1" },
+        { a: null, b: "@cmd" },
+    ]);
+    assert.equal(text, 'a,b\r\n"x,y","q""q"\r\n\'=SUM(A1),\'-1\r\n,\'@cmd\r\n');
+});
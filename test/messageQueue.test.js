@@ -0,0 +1,89 @@
+// test/messageQueue.test.js - Queueing, retries and persistence of outbound sends
+
+const { scratch } = require("./setup");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const messageQueue = require("../messageQueue");
+const messageStore = require("../messageStore");
+
+const STORE_FILE = path.join(scratch, "message-queue.json");
+
+/**
+ * Wait for a job to reach a final state. Polls, since the queue's own timer does not keep the
+ * process alive while a retry waits out its backoff.
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Job view
+ */
+const settled = (id) =>
+    new Promise((resolve) => {
+        const poll = setInterval(() => {
+            const job = messageQueue.getJob(id);
+            if ([messageQueue.JOB_STATES.COMPLETED, messageQueue.JOB_STATES.FAILED].includes(job.status)) {
+                clearInterval(poll);
+                resolve(job);
+            }
+        }, 10);
+    });
+
+test.before(() => messageQueue.start());
+test.after(() => messageQueue.stop());
+
+test("refuses kinds without a handler", () => {
+    assert.throws(() => messageQueue.enqueue("unknown", {}), /No queue handler registered for unknown/);
+});
+
+test("runs a job and keeps it in the store file", async () => {
+    const seen = [];
+    messageQueue.registerHandler("test-ok", async (payload, job) => {
+        seen.push({ payload, attempts: job.attempts });
+        return { success: true, output: { sent: true } };
+    });
+
+    const queued = messageQueue.enqueue("test-ok", { text: "hello" }, { to: "9876543210" });
+    assert.equal(queued.status, messageQueue.JOB_STATES.QUEUED);
+    assert.notEqual(messageStore.getMessage(queued.id), null);
+
+    const job = await settled(queued.id);
+    assert.equal(job.status, messageQueue.JOB_STATES.COMPLETED);
+    assert.deepEqual(job.output, { sent: true });
+    assert.deepEqual(seen, [{ payload: { text: "hello" }, attempts: 1 }]);
+
+    const stored = JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+    assert.equal(stored.find((entry) => entry.id === queued.id).status, messageQueue.JOB_STATES.COMPLETED);
+});
+
+test("retries retryable failures until one succeeds", async () => {
+    let calls = 0;
+    messageQueue.registerHandler("test-flaky", async () => {
+        calls++;
+        return calls < 3 ? { success: false, retryable: true, error: "try again" } : { success: true };
+    });
+
+    const job = await settled(messageQueue.enqueue("test-flaky", {}, { maxAttempts: 3 }).id);
+    assert.equal(job.status, messageQueue.JOB_STATES.COMPLETED);
+    assert.equal(job.attempts, 3);
+});
+
+test("stops at a non-retryable failure or the last attempt", async () => {
+    messageQueue.registerHandler("test-rejected", async () => ({
+        success: false,
+        retryable: false,
+        error: "rejected",
+    }));
+    messageQueue.registerHandler("test-down", async () => {
+        throw new Error("gateway down");
+    });
+
+    const rejected = await settled(messageQueue.enqueue("test-rejected", {}).id);
+    assert.equal(rejected.status, messageQueue.JOB_STATES.FAILED);
+    assert.equal(rejected.attempts, 1);
+    assert.equal(rejected.lastError, "rejected");
+    assert.equal(messageStore.getMessage(rejected.id).status, messageStore.STATES.FAILED);
+
+    const down = await settled(messageQueue.enqueue("test-down", {}, { maxAttempts: 2 }).id);
+    assert.equal(down.status, messageQueue.JOB_STATES.FAILED);
+    assert.equal(down.attempts, 2);
+    assert.equal(down.lastError, "gateway down");
+});
@@ -0,0 +1,73 @@
+// test/otpStore.test.js - Issued OTP storage, matching and invalidation
+
+require("./setup");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const otpStore = require("../otpStore");
+
+const MOBILE = "9876543210";
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("stores only a hash and matches the issued code", () => {
+    const saved = otpStore.saveOTP(MOBILE, "req-match", "123456", { purpose: "login" });
+    assert.equal(saved.purpose, "login");
+    assert.equal(JSON.stringify(saved).includes("123456"), false);
+
+    const entry = otpStore.getOTP(MOBILE, "req-match");
+    assert.equal(JSON.stringify(entry).includes("123456"), false);
+    assert.equal(otpStore.matchesOTP(entry, "123456", { purpose: "login" }), true);
+    assert.equal(otpStore.matchesOTP(entry, "654321", { purpose: "login" }), false);
+});
+
+test("the purpose and context are bound into the hash", () => {
+    const context = { amount: "100.00", reference: "TXN1" };
+    otpStore.saveOTP(MOBILE, "req-bound", "123456", { purpose: "transaction", context });
+    const entry = otpStore.getOTP(MOBILE, "req-bound");
+
+    assert.equal(otpStore.matchesOTP(entry, "123456", { purpose: "login", context }), false);
+    assert.equal(
+        otpStore.matchesOTP(entry, "123456", { purpose: "transaction", context: { ...context, amount: "999.00" } }),
+        false
+    );
+    assert.equal(otpStore.matchesOTP(entry, "123456", { purpose: "transaction", context }), true);
+});
+
+test("alphanumeric codes can be matched case-insensitively", () => {
+    otpStore.saveOTP(MOBILE, "req-case", "AB12CD");
+    const entry = otpStore.getOTP(MOBILE, "req-case");
+
+    assert.equal(otpStore.matchesOTP(entry, "ab12cd"), false);
+    assert.equal(otpStore.matchesOTP(entry, "ab12cd", { caseSensitive: false }), true);
+});
+
+test("an OTP is invalidated once its attempts run out", () => {
+    otpStore.saveOTP(MOBILE, "req-attempts", "123456", { maxAttempts: 2 });
+
+    assert.deepEqual(otpStore.recordFailedAttempt(MOBILE, "req-attempts"), {
+        attempts: 1,
+        remainingAttempts: 1,
+        invalidated: false,
+    });
+    assert.equal(otpStore.recordFailedAttempt(MOBILE, "req-attempts").invalidated, true);
+    assert.equal(otpStore.getOTP(MOBILE, "req-attempts"), null);
+});
+
+test("expired and consumed OTPs are gone", async () => {
+    otpStore.saveOTP(MOBILE, "req-expired", "123456", { ttlMs: 5 });
+    otpStore.saveOTP(MOBILE, "req-consumed", "123456");
+
+    assert.equal(otpStore.consumeOTP(MOBILE, "req-consumed"), true);
+    assert.equal(otpStore.getOTP(MOBILE, "req-consumed"), null);
+
+    await sleep(15);
+    assert.equal(otpStore.getOTP(MOBILE, "req-expired"), null);
+});
+
+test("invalidateAllForNumber removes only that number's OTPs", () => {
+    otpStore.saveOTP("9000000001", "req-a", "111111");
+    otpStore.saveOTP("9000000001", "req-b", "222222");
+    otpStore.saveOTP("9000000002", "req-c", "333333");
+
+    assert.equal(otpStore.invalidateAllForNumber("9000000001"), 2);
+    assert.notEqual(otpStore.getOTP("9000000002", "req-c"), null);
+});
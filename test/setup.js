@@ -0,0 +1,30 @@
+// test/setup.js - Environment shared by the tests: sandbox configuration and a scratch directory.
+// Require it before any module under test, since most of them read their settings when loaded.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "otp-service-test-"));
+
+Object.assign(process.env, {
+    NODE_ENV: "test",
+    // No config file and no secrets file: defaults plus the variables below
+    CONFIG_DIR: path.join(scratch, "config"),
+    SECRETS_FILE: path.join(scratch, "secrets.enc"),
+    SMS_SANDBOX: "true",
+    LOG_LEVEL: "error",
+    OTP_HASH_SECRET: "test-otp-hash-secret-0123456789abcdef",
+    VERIFICATION_TOKEN_SECRET: "test-verification-token-secret-0123456789",
+    QUEUE_STORE_FILE: path.join(scratch, "message-queue.json"),
+    QUEUE_POLL_MS: "20",
+    QUEUE_RETRY_BASE_MS: "10",
+});
+
+// The logger writes to ./logs; keep that out of the working tree
+process.chdir(scratch);
+process.on("exit", () => fs.rmSync(scratch, { recursive: true, force: true }));
+
+module.exports = {
+    scratch,
+};
@@ -0,0 +1,79 @@
+// test/verificationToken.test.js - Issuing and validating verification tokens (HS256)
+
+require("./setup");
+const crypto = require("crypto");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { issueToken, verifyToken } = require("../verificationToken");
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Sign arbitrary header and claims with the test secret, as a forger holding the key could
+ * @param {Object} header - JWT header
+ * @param {Object} claims - JWT claims
+ * @returns {string} - Compact JWT
+ */
+const forge = (header, claims) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const signingInput = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto
+        .createHmac("sha256", process.env.VERIFICATION_TOKEN_SECRET)
+        .update(signingInput)
+        .digest("base64url");
+    return `${signingInput}.${signature}`;
+};
+
+const claimsOf = (token) => JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+
+const issue = () => issueToken({ mobileNumber: "9876543210", purpose: "login", requestId: "req-1" });
+
+test("an issued token validates and carries its claims", () => {
+    const { token, tokenType, expiresIn } = issue();
+    const result = verifyToken(token, { purpose: "login" });
+
+    assert.equal(tokenType, "Bearer");
+    assert.equal(result.valid, true);
+    assert.equal(result.claims.sub, "9876543210");
+    assert.equal(result.claims.request_id, "req-1");
+    assert.deepEqual(result.claims.amr, ["sms"]);
+    assert.equal(result.claims.exp - result.claims.iat, expiresIn);
+});
+
+test("malformed tokens and bad signatures are rejected", () => {
+    const { token } = issue();
+    const [header, claims, signature] = token.split(".");
+    const tampered = Buffer.from(JSON.stringify({ ...claimsOf(token), sub: "9000000000" })).toString("base64url");
+
+    assert.equal(verifyToken("not-a-token").reason, "MALFORMED");
+    assert.equal(verifyToken(`${header}.bnVsbA.${signature}`).reason, "MALFORMED");
+    assert.equal(verifyToken(`${header}.${tampered}.${signature}`).reason, "BAD_SIGNATURE");
+    assert.equal(verifyToken(`${header}.${claims}.${signature.slice(1)}`).reason, "BAD_SIGNATURE");
+});
+
+test("a token may not pick its own algorithm", () => {
+    const claims = claimsOf(issue().token);
+
+    assert.equal(verifyToken(forge({ alg: "none", typ: "JWT" }, claims)).reason, "ALGORITHM_MISMATCH");
+    assert.equal(verifyToken(forge({ alg: "RS256", typ: "JWT" }, claims)).reason, "ALGORITHM_MISMATCH");
+});
+
+test("exp and nbf are enforced with the same clock skew", () => {
+    const claims = claimsOf(issue().token);
+    const header = { alg: "HS256", typ: "JWT" };
+
+    assert.equal(verifyToken(forge(header, { ...claims, exp: now() - 10 })).valid, true);
+    assert.equal(verifyToken(forge(header, { ...claims, exp: now() - 60 })).reason, "EXPIRED");
+    assert.equal(verifyToken(forge(header, { ...claims, nbf: now() + 10 })).valid, true);
+    assert.equal(verifyToken(forge(header, { ...claims, nbf: now() + 60 })).reason, "NOT_YET_VALID");
+    assert.equal(verifyToken(forge(header, { ...claims, nbf: "soon" })).reason, "NOT_YET_VALID");
+});
+
+test("issuer and purpose must match", () => {
+    const { token } = issue();
+    const claims = claimsOf(token);
+
+    assert.equal(verifyToken(token, { purpose: "transaction" }).reason, "PURPOSE_MISMATCH");
+    const foreign = forge({ alg: "HS256", typ: "JWT" }, { ...claims, iss: "elsewhere" });
+    assert.equal(verifyToken(foreign).reason, "ISSUER_MISMATCH");
+});
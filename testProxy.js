@@ -1,15 +1,16 @@
 const axios = require('axios');
+const outboundProxy = require('./outboundProxy');
+
+const TEST_URL = 'https://httpbin.org/ip';
 
 async function testProxy() {
     try {
-        const response = await axios.get('https://httpbin.org/ip', {
-            proxy: {
-                host: '10.194.81.45',
-                port: 8080,
-                protocol: 'http'
-            },
-            timeout: 5000
-        });
+        console.log('Route:', outboundProxy.describeRoute(TEST_URL));
+        const response = await outboundProxy.request(
+            axios,
+            { method: 'get', url: TEST_URL, timeout: 5000 },
+            { fallbackDirect: false }
+        );
         console.log('Proxy is working:', response.data);
     } catch (error) {
         console.error('Proxy test failed:', error.message);
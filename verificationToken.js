@@ -0,0 +1,272 @@
+// verificationToken.js - Short-lived signed (JWT) proof that a mobile number was verified
+
+const crypto = require("crypto");
+const fs = require("fs");
+const logger = require("./logger");
+const { config } = require("./config");
+
+const ISSUER = process.env.VERIFICATION_TOKEN_ISSUER || "otp-service";
+const TTL_SECONDS = parseInt(process.env.VERIFICATION_TOKEN_TTL_SECONDS || "300");
+const ALGORITHM = process.env.VERIFICATION_TOKEN_ALG || "HS256";
+// Tolerated clock difference between issuer and verifier, applied to both exp and nbf
+const CLOCK_SKEW_SECONDS = parseInt(process.env.VERIFICATION_TOKEN_CLOCK_SKEW_SECONDS || "30");
+
+// Key type each asymmetric algorithm must be used with (ES256 also needs the P-256 curve)
+const KEY_TYPES = {
+    RS256: { asymmetricKeyType: "rsa" },
+    ES256: { asymmetricKeyType: "ec", namedCurve: "prime256v1" },
+};
+
+/**
+ * Read a PEM key from an env var, or from the file named by `${name}_FILE`
+ * @param {string} name - Env var name
+ * @returns {string|null} - PEM contents
+ */
+const readKey = (name) => {
+    if (process.env[name]) {
+        return process.env[name].replace(/\\n/g, "\n");
+    }
+    if (process.env[`${name}_FILE`]) {
+        return fs.readFileSync(process.env[`${name}_FILE`], "utf8");
+    }
+    return null;
+};
+
+/**
+ * Whether a key can be used with an algorithm: a string secret for HS256, an RSA or P-256 EC key object
+ * for RS256 and ES256
+ * @param {string|crypto.KeyObject} key - Secret or parsed key
+ * @param {string} algorithm - JWT "alg"
+ * @returns {boolean}
+ */
+const keyFitsAlgorithm = (key, algorithm) => {
+    if (algorithm === "HS256") {
+        return typeof key === "string";
+    }
+    const expected = KEY_TYPES[algorithm];
+    if (!expected || typeof key === "string") {
+        return false;
+    }
+    const details = key.asymmetricKeyDetails || {};
+    return key.asymmetricKeyType === expected.asymmetricKeyType &&
+        (!expected.namedCurve || details.namedCurve === expected.namedCurve);
+};
+
+/**
+ * Check that a key is of the type the configured algorithm needs
+ * @param {crypto.KeyObject} key - Parsed key
+ * @param {string} name - Env var the key came from, for the error message
+ * @returns {crypto.KeyObject} - The key
+ */
+const assertKeyType = (key, name) => {
+    if (!keyFitsAlgorithm(key, ALGORITHM)) {
+        throw new Error(`${name} is a ${key.asymmetricKeyType} key, which cannot be used for ${ALGORITHM}`);
+    }
+    return key;
+};
+
+/**
+ * Resolve signing and verification keys for the configured algorithm
+ * @returns {Object} - { signingKey, verificationKey }
+ */
+const resolveKeys = () => {
+    if (ALGORITHM === "HS256") {
+        let secret = config.security.verificationTokenSecret;
+        if (!secret) {
+            logger.warn("VERIFICATION_TOKEN_SECRET is not set, using a random per-process secret");
+            secret = crypto.randomBytes(32).toString("hex");
+        }
+        return { signingKey: secret, verificationKey: secret };
+    }
+
+    if (ALGORITHM === "RS256" || ALGORITHM === "ES256") {
+        const privateKey = readKey("VERIFICATION_TOKEN_PRIVATE_KEY");
+        const publicKey = readKey("VERIFICATION_TOKEN_PUBLIC_KEY");
+        if (!publicKey) {
+            throw new Error(`VERIFICATION_TOKEN_PUBLIC_KEY is required for ${ALGORITHM}`);
+        }
+        // Services that only validate tokens need the public key alone
+        return {
+            signingKey: privateKey &&
+                assertKeyType(crypto.createPrivateKey(privateKey), "VERIFICATION_TOKEN_PRIVATE_KEY"),
+            verificationKey: assertKeyType(crypto.createPublicKey(publicKey), "VERIFICATION_TOKEN_PUBLIC_KEY"),
+        };
+    }
+
+    throw new Error(`Unsupported verification token algorithm: ${ALGORITHM}`);
+};
+
+const keys = resolveKeys();
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Sign `header.payload` with the configured algorithm
+ * @param {string} signingInput - Encoded header and payload
+ * @returns {string} - base64url signature
+ */
+const sign = (signingInput) => {
+    if (ALGORITHM === "HS256") {
+        return crypto.createHmac("sha256", keys.signingKey).update(signingInput).digest("base64url");
+    }
+    if (!keys.signingKey) {
+        throw new Error("VERIFICATION_TOKEN_PRIVATE_KEY is required to issue tokens");
+    }
+    return crypto
+        .sign("sha256", Buffer.from(signingInput), {
+            key: keys.signingKey,
+            dsaEncoding: "ieee-p1363",
+        })
+        .toString("base64url");
+};
+
+/**
+ * Check a signature over `header.payload`
+ * @param {string} signingInput - Encoded header and payload
+ * @param {string} signature - base64url signature
+ * @returns {boolean}
+ */
+const checkSignature = (signingInput, signature) => {
+    if (ALGORITHM === "HS256") {
+        const expected = Buffer.from(sign(signingInput));
+        const provided = Buffer.from(signature);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+    return crypto.verify(
+        "sha256",
+        Buffer.from(signingInput),
+        { key: keys.verificationKey, dsaEncoding: "ieee-p1363" },
+        Buffer.from(signature, "base64url")
+    );
+};
+
+/**
+ * Issue a verification token
+ * @param {Object} params - Verified facts
+ * @param {string} params.mobileNumber - The verified mobile number
+ * @param {string|null} params.purpose - The purpose the OTP was verified for (no claim when null)
+ * @param {string} params.requestId - The request ID of the verified OTP
+ * @param {string} params.method - Verification method (sms, totp, hotp)
+ * @returns {Object} - { token, tokenType, expiresIn, expiresAt }
+ */
+const issueToken = ({ mobileNumber, purpose, requestId, method = "sms" }) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: ALGORITHM, typ: "JWT" };
+    const payload = {
+        iss: ISSUER,
+        sub: mobileNumber,
+        ...(purpose ? { purpose } : {}),
+        request_id: requestId,
+        amr: [method],
+        auth_time: now,
+        iat: now,
+        nbf: now,
+        exp: now + TTL_SECONDS,
+        jti: crypto.randomUUID(),
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+
+    return {
+        token: `${signingInput}.${sign(signingInput)}`,
+        tokenType: "Bearer",
+        expiresIn: TTL_SECONDS,
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
+    };
+};
+
+/**
+ * Validate a verification token
+ * @param {string} token - Compact JWT
+ * @param {Object} options - Validation options
+ * @param {string} options.purpose - Require this purpose claim
+ * @returns {Object} - { valid, claims, reason }
+ */
+const verifyToken = (token, options = {}) => {
+    const parts = String(token || "").split(".");
+    if (parts.length !== 3) {
+        return { valid: false, reason: "MALFORMED" };
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+        claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+    } catch (error) {
+        return { valid: false, reason: "MALFORMED" };
+    }
+    // Valid JSON is not enough: "null", numbers and arrays are not a header or claims set
+    if (!isPlainObject(header) || !isPlainObject(claims)) {
+        return { valid: false, reason: "MALFORMED" };
+    }
+
+    // Never let the token choose its own algorithm: it must be the one the keys were loaded for,
+    // so an RS/ES public key is never used as an HMAC secret or the other way round
+    if (header.alg !== ALGORITHM || !keyFitsAlgorithm(keys.verificationKey, header.alg)) {
+        return { valid: false, reason: "ALGORITHM_MISMATCH" };
+    }
+
+    if (!checkSignature(`${parts[0]}.${parts[1]}`, parts[2])) {
+        return { valid: false, reason: "BAD_SIGNATURE" };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.iss !== ISSUER) {
+        return { valid: false, reason: "ISSUER_MISMATCH" };
+    }
+    if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS <= now) {
+        return { valid: false, reason: "EXPIRED" };
+    }
+    if (claims.nbf !== undefined && (typeof claims.nbf !== "number" || claims.nbf - CLOCK_SKEW_SECONDS > now)) {
+        return { valid: false, reason: "NOT_YET_VALID" };
+    }
+    if (options.purpose && claims.purpose !== options.purpose) {
+        return { valid: false, reason: "PURPOSE_MISMATCH" };
+    }
+
+    return { valid: true, claims };
+};
+
+/**
+ * Express middleware requiring a valid verification token, taken from
+ * `Authorization: Bearer <token>` or the `X-Verification-Token` header.
+ * The token claims are exposed as `req.verification`.
+ * @param {Object} options - { purpose } to require a specific purpose
+ * @returns {Function} - Express middleware
+ */
+const requireVerificationToken = (options = {}) => {
+    return (req, res, next) => {
+        const authorization = req.get("authorization") || "";
+        const token = authorization.startsWith("Bearer ")
+            ? authorization.substring(7)
+            : req.get("x-verification-token");
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: "Verification token is required",
+            });
+        }
+
+        const result = verifyToken(token, options);
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                message: "Invalid verification token",
+                reason: result.reason,
+            });
+        }
+
+        req.verification = result.claims;
+        next();
+    };
+};
+
+module.exports = {
+    issueToken,
+    verifyToken,
+    requireVerificationToken,
+};